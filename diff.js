@@ -0,0 +1,125 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 AI Assistant & User Collaborator
+// Diff Module - Line diffs between versions of a code block for the heal review
+
+// Above this many lines x lines the changed middle is shown as fully replaced instead of diffed
+const MAX_DIFF_CELLS = 2000000;
+
+/**
+ * Line diff of two texts, by longest common subsequence
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<{type: 'same'|'removed'|'added', text: string}>} Changes in order
+ */
+export function diffLines(before, after) {
+    const oldLines = String(before).split('\n');
+    const newLines = String(after).split('\n');
+
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    const same = text => ({ type: 'same', text });
+    const changes = oldLines.slice(0, start).map(same);
+    const oldMiddle = oldLines.slice(start, oldEnd);
+    const newMiddle = newLines.slice(start, newEnd);
+    const rows = oldMiddle.length;
+    const cols = newMiddle.length;
+
+    if ((rows + 1) * (cols + 1) > MAX_DIFF_CELLS) {
+        oldMiddle.forEach(text => changes.push({ type: 'removed', text }));
+        newMiddle.forEach(text => changes.push({ type: 'added', text }));
+    } else {
+        // lengths[i * (cols + 1) + j] = LCS length of oldMiddle[i..] and newMiddle[j..]
+        const width = cols + 1;
+        const lengths = new Uint32Array((rows + 1) * width);
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = cols - 1; j >= 0; j--) {
+                lengths[i * width + j] = oldMiddle[i] === newMiddle[j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < rows && j < cols) {
+            if (oldMiddle[i] === newMiddle[j]) {
+                changes.push(same(oldMiddle[i]));
+                i++;
+                j++;
+            } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+                changes.push({ type: 'removed', text: oldMiddle[i++] });
+            } else {
+                changes.push({ type: 'added', text: newMiddle[j++] });
+            }
+        }
+        while (i < rows) changes.push({ type: 'removed', text: oldMiddle[i++] });
+        while (j < cols) changes.push({ type: 'added', text: newMiddle[j++] });
+    }
+
+    oldLines.slice(oldEnd).forEach(text => changes.push(same(text)));
+    return changes;
+}
+
+/**
+ * Lays a line diff out as side-by-side rows. A run of removed lines is placed next to the added lines
+ * that follow it, so replaced lines share a row.
+ * @param {Array<{type: string, text: string}>} changes - From diffLines
+ * @returns {Array<{left: {line: number, text: string}|null, right: {line: number, text: string}|null, type: 'same'|'changed'}>} Rows with 1-based line numbers
+ */
+export function buildSideBySideRows(changes) {
+    const rows = [];
+    let oldLine = 0;
+    let newLine = 0;
+    let index = 0;
+    while (index < changes.length) {
+        if (changes[index].type === 'same') {
+            const { text } = changes[index++];
+            rows.push({ left: { line: ++oldLine, text }, right: { line: ++newLine, text }, type: 'same' });
+            continue;
+        }
+        const removed = [];
+        const added = [];
+        while (index < changes.length && changes[index].type === 'removed') removed.push(changes[index++].text);
+        while (index < changes.length && changes[index].type === 'added') added.push(changes[index++].text);
+        for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+            rows.push({
+                left: k < removed.length ? { line: ++oldLine, text: removed[k] } : null,
+                right: k < added.length ? { line: ++newLine, text: added[k] } : null,
+                type: 'changed',
+            });
+        }
+    }
+    return rows;
+}
+
+/**
+ * Builds a side-by-side diff view, old text on the left and new text on the right
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {HTMLElement} The `.ember-diff` element
+ */
+export function buildDiffView(before, after) {
+    const view = document.createElement('div');
+    view.className = 'ember-diff';
+    const cell = (side, type) => {
+        const element = document.createElement('div');
+        element.className = side ? `ember-diff-cell ember-diff-${type}` : 'ember-diff-cell ember-diff-empty';
+        if (side) {
+            element.append(
+                Object.assign(document.createElement('span'), { className: 'ember-diff-lineno', textContent: String(side.line) }),
+                Object.assign(document.createElement('span'), { className: 'ember-diff-text', textContent: side.text }),
+            );
+        }
+        return element;
+    };
+    for (const row of buildSideBySideRows(diffLines(before, after))) {
+        view.append(cell(row.left, row.type === 'same' ? 'same' : 'removed'), cell(row.right, row.type === 'same' ? 'same' : 'added'));
+    }
+    return view;
+}
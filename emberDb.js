@@ -0,0 +1,104 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 AI Assistant & User Collaborator
+// IndexedDB Module - Small promise wrapper around Ember's browser-side database
+
+const DB_NAME = 'ember';
+const DB_VERSION = 3;
+const STORES = ['libraries', 'customLibraries', 'widgetStorage'];
+
+let dbPromise = null;
+
+/**
+ * Opens (and on first use creates or upgrades) the Ember database
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            for (const store of STORES) {
+                if (!db.objectStoreNames.contains(store)) db.createObjectStore(store);
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Ember database upgrade is blocked by another tab'));
+    }).catch(error => {
+        dbPromise = null;
+        throw error;
+    });
+    return dbPromise;
+}
+
+/**
+ * Runs a single request against an object store
+ * @param {string} store - Object store name
+ * @param {IDBTransactionMode} mode - Transaction mode
+ * @param {Function} action - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} The request result
+ */
+async function withStore(store, mode, action) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(store, mode);
+        const request = action(transaction.objectStore(store));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Reads a value
+ * @param {string} store - Object store name
+ * @param {string} key - Record key
+ * @returns {Promise<*>} Stored value, or undefined
+ */
+export function dbGet(store, key) {
+    return withStore(store, 'readonly', objectStore => objectStore.get(key));
+}
+
+/**
+ * Writes a value
+ * @param {string} store - Object store name
+ * @param {string} key - Record key
+ * @param {*} value - Structured-cloneable value
+ * @returns {Promise<void>}
+ */
+export function dbPut(store, key, value) {
+    return withStore(store, 'readwrite', objectStore => objectStore.put(value, key));
+}
+
+/**
+ * Deletes a value
+ * @param {string} store - Object store name
+ * @param {string} key - Record key
+ * @returns {Promise<void>}
+ */
+export function dbDelete(store, key) {
+    return withStore(store, 'readwrite', objectStore => objectStore.delete(key));
+}
+
+/**
+ * Lists all keys of a store
+ * @param {string} store - Object store name
+ * @returns {Promise<string[]>} Record keys
+ */
+export function dbKeys(store) {
+    return withStore(store, 'readonly', objectStore => objectStore.getAllKeys());
+}
+
+/**
+ * Removes every record from a store
+ * @param {string} store - Object store name
+ * @returns {Promise<void>}
+ */
+export function dbClear(store) {
+    return withStore(store, 'readwrite', objectStore => objectStore.clear());
+}
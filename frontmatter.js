@@ -0,0 +1,117 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 AI Assistant & User Collaborator
+// Frontmatter Module - Parses the `---` header at the top of Ember code blocks
+
+const FRONTMATTER_REGEX = /^\s*---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Converts a scalar frontmatter value into a string, number or boolean
+ * @param {string} raw - The raw value text
+ * @returns {string|number|boolean|null} Parsed value
+ */
+function parseScalar(raw) {
+    const value = raw.trim();
+    if (value === '') return '';
+    if (/^(['"])[\s\S]*\1$/.test(value)) return value.slice(1, -1);
+    if (/^(true|yes|on)$/i.test(value)) return true;
+    if (/^(false|no|off)$/i.test(value)) return false;
+    if (/^(null|~)$/i.test(value)) return null;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    return value;
+}
+
+/**
+ * Parses an inline list such as `[d3, three]`
+ * @param {string} raw - The raw value text
+ * @returns {Array|null} Parsed list, or null if the value is not an inline list
+ */
+function parseInlineList(raw) {
+    const match = raw.trim().match(/^\[([\s\S]*)\]$/);
+    if (!match) return null;
+    return match[1].split(',').map(item => parseScalar(item)).filter(item => item !== '');
+}
+
+/**
+ * Parses the small YAML subset used by Ember frontmatter: `key: value` pairs,
+ * inline lists (`libs: [d3, three]`) and block lists (`libs:` followed by `  - d3` lines)
+ * @param {string} header - Text between the `---` markers
+ * @returns {Object} Parsed key/value data
+ */
+function parseFrontmatterBody(header) {
+    const data = {};
+    let currentListKey = null;
+
+    for (const line of header.split(/\r?\n/)) {
+        if (!line.trim() || /^\s*#/.test(line)) continue;
+
+        const listItem = line.match(/^\s*-\s*(.*)$/);
+        if (listItem) {
+            if (!currentListKey) throw new Error(`List item "${line.trim()}" has no parent key`);
+            data[currentListKey].push(parseScalar(listItem[1]));
+            continue;
+        }
+
+        const pair = line.match(/^\s*([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+        if (!pair) throw new Error(`Cannot parse frontmatter line "${line.trim()}"`);
+
+        const [, key, rawValue] = pair;
+        currentListKey = null;
+        if (rawValue.trim() === '') {
+            data[key] = [];
+            currentListKey = key;
+            continue;
+        }
+        data[key] = parseInlineList(rawValue) ?? parseScalar(rawValue);
+    }
+
+    return data;
+}
+
+/**
+ * Splits a code block into its frontmatter data and the code that should run
+ * @param {string} code - Full content of the code block
+ * @returns {{hasFrontmatter: boolean, data: Object, body: string, lineOffset: number}}
+ *          `lineOffset` is the number of lines removed from the top of the block
+ */
+export function parseFrontmatter(code) {
+    const match = code.match(FRONTMATTER_REGEX);
+    if (!match) {
+        return { hasFrontmatter: false, data: {}, body: code, lineOffset: 0 };
+    }
+
+    const data = parseFrontmatterBody(match[1]);
+    const lineOffset = match[0].split('\n').length - (match[0].endsWith('\n') ? 1 : 0);
+    return {
+        hasFrontmatter: true,
+        data,
+        body: code.slice(match[0].length),
+        lineOffset
+    };
+}
+
+/**
+ * Normalizes the `libs` frontmatter value to a list of lowercase aliases
+ * @param {*} libs - Raw `libs` value (list or comma-separated string)
+ * @returns {string[]} Library aliases
+ */
+export function normalizeLibraryAliases(libs) {
+    if (libs === undefined || libs === null || libs === '') return [];
+    const list = Array.isArray(libs) ? libs : String(libs).split(',');
+    return [...new Set(list.map(alias => String(alias).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Resolves library aliases against the known library definitions
+ * @param {string[]} aliases - Requested aliases
+ * @param {Array<{alias: string}>} libraries - Known library definitions
+ * @returns {Array<Object>} Matching library definitions, in request order
+ * @throws {Error} If any alias is not known
+ */
+export function resolveLibraryAliases(aliases, libraries) {
+    const unknown = aliases.filter(alias => !libraries.some(lib => lib.alias === alias));
+    if (unknown.length > 0) {
+        const available = libraries.map(lib => lib.alias).join(', ');
+        throw new Error(`Unknown library ${unknown.map(alias => `"${alias}"`).join(', ')} requested in frontmatter. Available: ${available}`);
+    }
+    return aliases.map(alias => libraries.find(lib => lib.alias === alias));
+}
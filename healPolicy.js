@@ -0,0 +1,68 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 AI Assistant & User Collaborator
+// Heal Policy Module - Decides when widget errors are healed automatically and how often
+
+const BACKOFF_BASE_MS = 2000;
+const BACKOFF_MAX_MS = 30000;
+
+/**
+ * Error class of a widget error message (`Ember Execution Error: TypeError: ...` -> `TypeError`).
+ * Transpile errors count as `SyntaxError`.
+ * @param {string} message - Error summary shown for the widget
+ * @returns {string} Error class, `Error` when the message names none
+ */
+export function getErrorClass(message) {
+    const text = String(message || '');
+    if (/^Transpile Error\b/.test(text)) return 'SyntaxError';
+    return text.match(/\b([A-Z][A-Za-z]*Error)\b/)?.[1] || 'Error';
+}
+
+/**
+ * Reads a comma- or space-separated list of error classes from the settings input
+ * @param {string} text - For example `TypeError, ReferenceError`
+ * @returns {string[]} Unique class names
+ */
+export function parseErrorClasses(text) {
+    return [...new Set(String(text || '').split(/[\s,]+/).map(name => name.trim()).filter(Boolean))];
+}
+
+/**
+ * Creates the attempt record for one block; `previous` holds the last proposed fix and the error it was for
+ * @returns {{attempts: number, previous: {code: string, error: string}|null}}
+ */
+export function createHealRecord() {
+    return { attempts: 0, previous: null };
+}
+
+/**
+ * Decides what a widget error leads to under the heal policy
+ * @param {Object} record - From createHealRecord
+ * @param {string} message - Error summary
+ * @param {{mode: 'manual'|'auto'|'classes', maxAttempts: number, errorClasses: string[]}} policy - Heal settings
+ * @returns {{action: 'none'|'heal'|'give-up', delayMs?: number}} `heal` after `delayMs`, which doubles with each attempt
+ */
+export function decideAutomaticHeal(record, message, policy) {
+    if (policy.mode === 'manual') return { action: 'none' };
+    if (policy.mode === 'classes') {
+        const errorClass = getErrorClass(message).toLowerCase();
+        if (!policy.errorClasses.some(name => name.toLowerCase() === errorClass)) return { action: 'none' };
+    }
+    if (record.attempts >= Math.max(1, policy.maxAttempts)) return { action: 'give-up' };
+    const delayMs = record.attempts === 0 ? 0 : Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (record.attempts - 1));
+    return { action: 'heal', delayMs };
+}
+
+/**
+ * Prompt text about the previous fix, so the model does not repeat it
+ * @param {{code: string, error: string}|null} previous - Last proposed fix for the block
+ * @param {string} currentCode - Code being healed now
+ * @param {string} [fence] - Language name for the code fence
+ * @returns {string} Text to append to the heal prompt, empty without a previous attempt
+ */
+export function describePreviousAttempt(previous, currentCode, fence = 'javascript') {
+    if (!previous) return '';
+    if (previous.code.trim() === currentCode.trim()) {
+        return `\n\nThe code below is already a fix for an earlier error ("${previous.error}") and it still fails. Try a different approach.`;
+    }
+    return `\n\nA previous fix attempt for "${previous.error}" was not used:\n\`\`\`${fence}\n${previous.code}\n\`\`\`\nTry a different approach.`;
+}
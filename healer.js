@@ -0,0 +1,101 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 AI Assistant & User Collaborator
+// Healer Module - Sends self-heal prompts to the model connection the user chose
+
+/**
+ * Lists the Connection Manager profiles the healer can use
+ * @param {Object} context - SillyTavern context (getContext())
+ * @returns {Array<{id: string, name: string}>} Profiles, empty when the Connection Manager is not available
+ */
+export function listConnectionProfiles(context) {
+    const profiles = context.extensionSettings?.connectionManager?.profiles;
+    return Array.isArray(profiles) ? profiles.map(profile => ({ id: profile.id, name: profile.name || profile.id })) : [];
+}
+
+/**
+ * Reduces an OpenAI-compatible base URL (`http://localhost:1234/v1`) to its chat completions URL
+ * @param {string} url - Base URL or full chat completions URL
+ * @returns {string} Chat completions URL, empty when no URL is set
+ */
+export function getChatCompletionsUrl(url) {
+    const trimmed = String(url || '').trim().replace(/\/+$/, '');
+    if (!trimmed) return '';
+    return /\/chat\/completions$/.test(trimmed) ? trimmed : `${trimmed}/chat/completions`;
+}
+
+async function generateWithCurrentConnection(prompt, maxTokens, context) {
+    if (typeof context.generateRaw !== 'function') {
+        throw new Error('This SillyTavern version cannot run raw generations for extensions. Choose a connection profile or an endpoint for the healer in the Ember settings.');
+    }
+    // Older SillyTavern versions take positional arguments: (prompt, api, instructOverride, quietToLoud, systemPrompt, responseLength)
+    if (context.generateRaw.length > 1) {
+        return context.generateRaw(prompt.user, '', false, false, prompt.system, maxTokens);
+    }
+    return context.generateRaw({ prompt: prompt.user, systemPrompt: prompt.system, responseLength: maxTokens });
+}
+
+async function generateWithProfile(prompt, maxTokens, profileId, context) {
+    const service = context.ConnectionManagerRequestService;
+    if (typeof service?.sendRequest !== 'function') {
+        throw new Error('Connection profiles need the Connection Manager extension of a recent SillyTavern version.');
+    }
+    const profile = context.extensionSettings?.connectionManager?.profiles?.find(entry => entry.id === profileId);
+    if (!profile) throw new Error('The healer connection profile no longer exists. Pick another one in the Ember settings.');
+    // Text completion profiles take a single prompt string
+    const request = profile.mode === 'tc'
+        ? `${prompt.system}\n\n${prompt.user}`
+        : [{ role: 'system', content: prompt.system }, { role: 'user', content: prompt.user }];
+    const result = await service.sendRequest(profile.id, request, maxTokens);
+    return typeof result === 'string' ? result : result?.content ?? '';
+}
+
+async function generateWithEndpoint(prompt, maxTokens, { endpointUrl, endpointKey, endpointModel }) {
+    const url = getChatCompletionsUrl(endpointUrl);
+    if (!url) throw new Error('No healer endpoint URL is set in the Ember settings.');
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(endpointKey ? { Authorization: `Bearer ${endpointKey}` } : {}) },
+        body: JSON.stringify({
+            model: endpointModel || undefined,
+            messages: [{ role: 'system', content: prompt.system }, { role: 'user', content: prompt.user }],
+            max_tokens: maxTokens,
+            temperature: 0.2,
+            stream: false,
+        }),
+    });
+    if (!response.ok) throw new Error(`Healer endpoint answered ${response.status} ${response.statusText}`.trim());
+    const data = await response.json();
+    const content = data?.choices?.[0]?.message?.content ?? data?.choices?.[0]?.text;
+    if (typeof content !== 'string') throw new Error('Healer endpoint reply has no choices[0].message.content');
+    return content;
+}
+
+/**
+ * Sends a heal prompt through the configured backend
+ * @param {{system: string, user: string}} prompt - System directive and the error report with the code
+ * @param {Object} options
+ * @param {string} options.backend - 'current' (SillyTavern's active connection), 'profile' or 'endpoint'
+ * @param {string} [options.profileId] - Connection Manager profile for 'profile'
+ * @param {string} [options.endpointUrl] - OpenAI-compatible base URL for 'endpoint'
+ * @param {string} [options.endpointKey] - Bearer token for 'endpoint'
+ * @param {string} [options.endpointModel] - Model name for 'endpoint'
+ * @param {number} [options.maxTokens] - Reply length limit
+ * @param {Object} context - SillyTavern context (getContext())
+ * @returns {Promise<string>} The model's reply
+ */
+export async function requestHealerCompletion(prompt, options, context) {
+    const maxTokens = Math.max(256, Number(options.maxTokens) || 4096);
+    let reply;
+    switch (options.backend) {
+        case 'profile':
+            reply = await generateWithProfile(prompt, maxTokens, options.profileId, context);
+            break;
+        case 'endpoint':
+            reply = await generateWithEndpoint(prompt, maxTokens, options);
+            break;
+        default:
+            reply = await generateWithCurrentConnection(prompt, maxTokens, context);
+    }
+    if (typeof reply !== 'string' || !reply.trim()) throw new Error('The healer model returned an empty reply.');
+    return reply;
+}
@@ -184,6 +184,81 @@ export function analyzeHtmlContent(content) {
     };
 }
 
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+// End tags the parser may add by itself, so leaving them out is not a problem
+const OPTIONAL_END_TAG_ELEMENTS = new Set(['html', 'head', 'body', 'p', 'li', 'dt', 'dd', 'option', 'optgroup', 'tr', 'td', 'th', 'thead', 'tbody', 'tfoot', 'colgroup', 'caption', 'rb', 'rt', 'rtc', 'rp']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+const MAX_HTML_PROBLEMS = 20;
+
+/**
+ * Finds markup mistakes the browser repairs silently: unclosed elements, end tags without a start tag,
+ * unclosed comments and a tag cut off at the end of the content
+ * @param {string} htmlContent - HTML source
+ * @returns {Array<{message: string, line: number}>} Problems with 1-based line numbers
+ */
+export function findHtmlProblems(htmlContent) {
+    const text = String(htmlContent || '');
+    const problems = [];
+    const stack = [];
+    const tagRegex = /<!--|<(\/?)([a-zA-Z][\w:-]*)((?:"[^"]*(?:"|$)|'[^']*(?:'|$)|[^'">])*)(>|$)/g;
+
+    let countedTo = 0;
+    let countedLine = 1;
+    const lineAt = index => {
+        for (; countedTo < index; countedTo++) if (text[countedTo] === '\n') countedLine++;
+        return countedLine;
+    };
+    const report = (message, line) => {
+        if (problems.length < MAX_HTML_PROBLEMS) problems.push({ message, line });
+    };
+
+    let match;
+    while ((match = tagRegex.exec(text)) !== null) {
+        const line = lineAt(match.index);
+        if (match[0] === '<!--') {
+            const end = text.indexOf('-->', tagRegex.lastIndex);
+            if (end === -1) {
+                report('Comment is never closed', line);
+                break;
+            }
+            tagRegex.lastIndex = end + 3;
+            continue;
+        }
+        const [, closing, rawName, attributes, end] = match;
+        const name = rawName.toLowerCase();
+        if (!end) {
+            report(`<${name}> tag is cut off`, line);
+            break;
+        }
+        if (closing) {
+            const openIndex = stack.map(entry => entry.name).lastIndexOf(name);
+            if (openIndex === -1) {
+                if (!VOID_ELEMENTS.has(name) && !OPTIONAL_END_TAG_ELEMENTS.has(name)) report(`</${name}> has no matching <${name}>`, line);
+                continue;
+            }
+            for (const inner of stack.splice(openIndex).slice(1)) {
+                if (!OPTIONAL_END_TAG_ELEMENTS.has(inner.name)) report(`<${inner.name}> from line ${inner.line} is not closed before </${name}>`, inner.line);
+            }
+            continue;
+        }
+        if (VOID_ELEMENTS.has(name) || attributes.trimEnd().endsWith('/')) continue;
+        if (RAW_TEXT_ELEMENTS.has(name)) {
+            const closeMatch = new RegExp(`</${name}\\s*>`, 'i').exec(text.slice(tagRegex.lastIndex));
+            if (!closeMatch) {
+                report(`<${name}> is never closed`, line);
+                break;
+            }
+            tagRegex.lastIndex += closeMatch.index + closeMatch[0].length;
+            continue;
+        }
+        stack.push({ name, line });
+    }
+    for (const entry of stack) {
+        if (!OPTIONAL_END_TAG_ELEMENTS.has(entry.name)) report(`<${entry.name}> is never closed`, entry.line);
+    }
+    return problems.sort((a, b) => a.line - b.line);
+}
+
 /**
  * Safe HTML parsing and content extraction
  * @param {string} htmlContent - HTML content to parse
@@ -204,6 +279,7 @@ export function safeParseHtml(htmlContent) {
         return {
             success: true,
             document: doc,
+            problems: findHtmlProblems(htmlContent),
             stats: {
                 scripts: scripts.length,
                 styles: styles.length,
@@ -227,12 +303,41 @@ export function safeParseHtml(htmlContent) {
             success: false,
             error: error.message,
             document: null,
+            problems: [],
             stats: null,
             elements: null
         };
     }
 }
 
+// Elements that run code, embed other documents or change how the page loads
+const ACTIVE_ELEMENTS = 'script, iframe, frame, frameset, object, embed, applet, base, meta[http-equiv]';
+
+/**
+ * Decides whether rendering HTML needs the user's consent: anything beyond plain markup and styling
+ * (scripts, inline event handlers, script URLs, embedded documents, refresh/redirect headers) does
+ * @param {string} htmlContent - HTML to render
+ * @returns {boolean} True when the HTML can run code or navigate; also true when it cannot be parsed
+ */
+export function htmlNeedsConsent(htmlContent) {
+    let doc;
+    try {
+        doc = new DOMParser().parseFromString(String(htmlContent || ''), 'text/html');
+    } catch (_) {
+        return true;
+    }
+    if (doc.querySelector(ACTIVE_ELEMENTS)) return true;
+    for (const element of doc.querySelectorAll('*')) {
+        for (const { name, value } of element.attributes) {
+            const attribute = name.toLowerCase();
+            if (attribute.startsWith('on') || attribute === 'srcdoc') return true;
+            // Browsers ignore whitespace and control characters in a URL scheme
+            if (/^(?:javascript|vbscript):/i.test(value.replace(/[\u0000-\u0020]/g, ''))) return true;
+        }
+    }
+    return false;
+}
+
 /**
  * Extract content blocks for preservation during processing
  * @param {string} text - Text to process
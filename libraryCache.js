@@ -0,0 +1,156 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 AI Assistant & User Collaborator
+// Library Cache Module - Fetches each sandbox library once and shares it between frames
+
+import { dbGet, dbPut, dbDelete, dbClear } from './emberDb.js';
+
+// Bump when files under lib/ change without a new file name
+const LIBRARY_CACHE_VERSION = 1;
+const LIBRARY_STORE = 'libraries';
+const CUSTOM_LIBRARY_STORE = 'customLibraries';
+
+// url or `custom:<alias>` -> Promise<{ code: string, objectUrl: string }>
+const sessionCache = new Map();
+
+/**
+ * Reads a library from IndexedDB, ignoring entries from older cache versions
+ * @param {string} url - Library URL used as the cache key
+ * @returns {Promise<string|null>} Cached source, or null
+ */
+async function readPersistedLibrary(url) {
+    try {
+        const entry = await dbGet(LIBRARY_STORE, url);
+        if (entry && entry.version === LIBRARY_CACHE_VERSION && typeof entry.code === 'string') {
+            return entry.code;
+        }
+    } catch (error) {
+        console.warn(`[Ember Library Cache] Could not read ${url} from IndexedDB:`, error);
+    }
+    return null;
+}
+
+async function persistLibrary(url, code) {
+    try {
+        await dbPut(LIBRARY_STORE, url, { version: LIBRARY_CACHE_VERSION, code, storedAt: Date.now() });
+    } catch (error) {
+        console.warn(`[Ember Library Cache] Could not store ${url} in IndexedDB:`, error);
+    }
+}
+
+async function loadLibrary(url) {
+    let code = await readPersistedLibrary(url);
+    if (code !== null) {
+        console.log(`[Ember Library Cache] Loaded ${url} from IndexedDB (${code.length} chars)`);
+    } else {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`Failed to fetch library ${url}: HTTP ${res.status} ${res.statusText}`);
+        code = await res.text();
+        console.log(`[Ember Library Cache] Fetched ${url} (${code.length} chars)`);
+        await persistLibrary(url, code);
+    }
+    return code;
+}
+
+async function loadCustomLibrary(alias) {
+    const entry = await dbGet(CUSTOM_LIBRARY_STORE, alias);
+    if (!entry || typeof entry.code !== 'string') {
+        throw new Error(`Uploaded library "${alias}" is missing from browser storage. Upload it again in the Ember settings.`);
+    }
+    return entry.code;
+}
+
+function getEntry(key, load) {
+    if (!sessionCache.has(key)) {
+        const entry = load().then(code => ({ code, objectUrl: URL.createObjectURL(new Blob([code], { type: 'text/javascript' })) }));
+        // Drop failed loads so the next widget can retry
+        sessionCache.set(key, entry.catch(error => {
+            sessionCache.delete(key);
+            throw error;
+        }));
+    }
+    return sessionCache.get(key);
+}
+
+function forgetEntry(key) {
+    const entry = sessionCache.get(key);
+    if (!entry) return;
+    entry.then(({ objectUrl }) => URL.revokeObjectURL(objectUrl)).catch(() => {});
+    sessionCache.delete(key);
+}
+
+/**
+ * Returns a session-wide object URL for a library, fetching it at most once
+ * @param {string} url - Library URL
+ * @returns {Promise<string>} `blob:` URL usable as a `<script src>`
+ */
+export async function getCachedLibraryUrl(url) {
+    return (await getEntry(url, () => loadLibrary(url))).objectUrl;
+}
+
+/**
+ * Returns the source of a library, fetching it at most once
+ * @param {string} url - Library URL
+ * @returns {Promise<string>} Library source
+ */
+export async function getCachedLibraryCode(url) {
+    return (await getEntry(url, () => loadLibrary(url))).code;
+}
+
+/**
+ * Returns a session-wide object URL for a library uploaded from the settings panel
+ * @param {string} alias - Library alias
+ * @returns {Promise<string>} `blob:` URL usable as a `<script src>`
+ */
+export async function getCustomLibraryUrl(alias) {
+    return (await getEntry(`custom:${alias}`, () => loadCustomLibrary(alias))).objectUrl;
+}
+
+/**
+ * Returns the source of a library uploaded from the settings panel
+ * @param {string} alias - Library alias
+ * @returns {Promise<string>} Library source
+ */
+export async function getCustomLibraryCode(alias) {
+    return (await getEntry(`custom:${alias}`, () => loadCustomLibrary(alias))).code;
+}
+
+/**
+ * Stores the source of an uploaded library
+ * @param {string} alias - Library alias
+ * @param {string} code - Library source
+ * @returns {Promise<void>}
+ */
+export async function saveCustomLibrary(alias, code) {
+    forgetEntry(`custom:${alias}`);
+    await dbPut(CUSTOM_LIBRARY_STORE, alias, { code, storedAt: Date.now() });
+}
+
+/**
+ * Removes an uploaded library, or forgets the cached copy of a path-based one
+ * @param {string} alias - Library alias
+ * @param {string} [url] - URL of a path-based library
+ * @returns {Promise<void>}
+ */
+export async function deleteCustomLibrary(alias, url) {
+    forgetEntry(`custom:${alias}`);
+    await dbDelete(CUSTOM_LIBRARY_STORE, alias);
+    if (url) {
+        forgetEntry(url);
+        await dbDelete(LIBRARY_STORE, url);
+    }
+}
+
+/**
+ * Forgets all fetched libraries, both for this session and in IndexedDB
+ * @returns {Promise<void>}
+ */
+export async function clearLibraryCache() {
+    // Uploaded libraries only exist in IndexedDB, so only their session copies are dropped
+    [...sessionCache.keys()].forEach(forgetEntry);
+    try {
+        await dbClear(LIBRARY_STORE);
+    } catch (error) {
+        console.warn('[Ember Library Cache] Could not clear IndexedDB store:', error);
+    }
+    console.log('[Ember Library Cache] Cleared');
+}
@@ -2,19 +2,37 @@
 // Copyright (C) 2025 AI Assistant & User Collaborator
 
 import { getContext, renderExtensionTemplateAsync, extension_settings as global_extension_settings } from '../../../extensions.js';
-import { messageFormatting, addCopyToCodeBlocks, setExtensionPrompt, extension_prompt_types, sendMessageAsUser, Generate } from '../../../../script.js';
-import { postProcessMessage, analyzeHtmlContent, safeParseHtml, extractPreservableContent, restorePreservableContent, testHtmlProcessing } from './htmlProcessor.js';
+import { messageFormatting, addCopyToCodeBlocks, setExtensionPrompt, extension_prompt_types, sendMessageAsUser, Generate, saveChatDebounced } from '../../../../script.js';
+import { postProcessMessage, analyzeHtmlContent, safeParseHtml, htmlNeedsConsent, extractPreservableContent, restorePreservableContent, testHtmlProcessing } from './htmlProcessor.js';
+import { parseFrontmatter, normalizeLibraryAliases, resolveLibraryAliases } from './frontmatter.js';
+import { getCachedLibraryUrl, getCustomLibraryUrl, getCustomLibraryCode, saveCustomLibrary, deleteCustomLibrary, clearLibraryCache } from './libraryCache.js';
+import { runStorageOperation, listStorageScopes, readStorageScope, clearStorageScope } from './widgetStorage.js';
+import { normalizeAllowlist, buildCspMetaTag, buildNetworkGuardScript } from './networkPolicy.js';
+import { PREFLIGHT_RULES, analyzeWidgetCode, formatFindings, parseWidgetCode, isModuleCode, describeSyntaxError } from './preflight.js';
+import { buildConsoleCaptureScript, createConsolePanel, appendConsoleEntry } from './widgetConsole.js';
+import { WIDGET_SOURCE_URL, buildLineMap, findErrorLocation, mapGeneratedPosition, rewriteStackLocations, buildSourceView } from './sourceLocation.js';
+import { HEARTBEAT_INTERVAL_MS, buildHeartbeatScript, createMonitor, recordHeartbeat, checkMonitor } from './watchdog.js';
+import { getTranspileLanguage, usesJsx, transpileWidgetCode } from './transpile.js';
+import { groupCodeBlocks, combineGroupMarkup, findInlineHandlerFunctions } from './widgetGroups.js';
+import { requestHealerCompletion, listConnectionProfiles } from './healer.js';
+import { buildDiffView } from './diff.js';
+import { createHealRecord, decideAutomaticHeal, describePreviousAttempt, parseErrorClasses } from './healPolicy.js';
 
 const { eventSource, event_types, SlashCommands } = getContext();
 const MODULE_NAME = 'Ember'; // Used for loading settings HTML and lib paths
 const BUILT_IN_LIBRARIES = [
-    { alias: 'd3', file: 'd3.v7.min.js' },
-    { alias: 'three', file: 'three.r128.min.js' },
-    { alias: 'p5', file: 'p5.v1.4.0.min.js' },
-    { alias: 'anime', file: 'anime.v3.2.1.min.js' },
-    { alias: 'chartjs', file: 'chart.umd.js' },
-    { alias: 'matter', file: 'matter.v0.18.0.min.js' }
+    { alias: 'd3', file: 'd3.v7.min.js', global: 'd3', name: 'D3.js' },
+    { alias: 'three', file: 'three.r128.min.js', global: 'THREE', name: 'Three.js' },
+    { alias: 'p5', file: 'p5.v1.4.0.min.js', global: 'p5', name: 'p5.js' },
+    { alias: 'anime', file: 'anime.v3.2.1.min.js', global: 'anime', name: 'Anime.js' },
+    { alias: 'chartjs', file: 'chart.umd.js', global: 'Chart', name: 'Chart.js' },
+    { alias: 'matter', file: 'matter.v0.18.0.min.js', global: 'Matter', name: 'Matter.js' },
+    { alias: 'preact', file: 'preact.v10.29.8.min.js', global: 'preact', name: 'Preact' },
+    // `requires` lists libraries that must load first; `specifier` is an extra name for module imports
+    { alias: 'preact-hooks', file: 'preact-hooks.v10.29.8.min.js', global: 'preactHooks', name: 'Preact Hooks', requires: ['preact'], specifier: 'preact/hooks' }
 ];
+// Loaded for JSX/TSX blocks, which compile to preact.h calls
+const JSX_RUNTIME_LIBRARIES = ['preact', 'preact-hooks'];
 
 // Instructions for the AI to generate correct Ember JS blocks and use APIs
 const DEFAULT_EMBER_JS_INSTRUCTIONS = `### [System Directive: Interactive JavaScript Code with Ember]
@@ -23,17 +41,28 @@ const DEFAULT_EMBER_JS_INSTRUCTIONS = `### [System Directive: Interactive JavaSc
 
 **Execution Environment:**
 *   Your code runs in a secure sandbox with a \`root\` element available
+*   The sandbox is isolated from SillyTavern: do not use \`window.parent\`, \`window.top\`, cookies or \`localStorage\`; talk to the host only through \`ember.*\`
 *   **ALWAYS append elements to \`root\`:** \`root.appendChild(yourElement)\`
-*   All libraries are automatically loaded: \`d3\`, \`three\`, \`p5\`, \`anime\`, \`Chart\`, \`Matter\`
-*   No imports needed - libraries are globally available
+*   Request libraries in a frontmatter block at the very top of the code (see below); they become globals, no imports needed
+*   Top-level \`await\` works. ES module syntax works too: \`import * as THREE from 'three'\` imports a library by its alias
 
 **How to Write Code:**
 1. Use regular \`\`\`javascript code blocks (NOT HTML with embedded JS)
 2. Create elements with \`document.createElement()\`
 3. Always append to \`root\`: \`root.appendChild(element)\`
-4. All libraries work immediately (no imports needed)
+4. List the libraries you need in the frontmatter; only those are loaded
+5. Markup and styles may go in separate \`\`\`html and \`\`\`css blocks next to one \`\`\`javascript block; they are combined into one widget. With several widgets in one message, link the blocks of each with the same frontmatter \`group: name\`
 
-**Available Libraries:** \`d3\`, \`three\`, \`p5\`, \`anime\`, \`Chart\` (from chartjs), \`Matter\`.
+**Available Libraries (alias → global):** {{emberLibraries}}.
+
+**Frontmatter:**
+    \`\`\`javascript
+    ---
+    libs:
+      - chartjs
+    ---
+    // your code
+    \`\`\`
 
 **Context Injection from JavaScript:**
 *   Your script can inject information directly into the chat's context using the global \`ember.inject()\` function.
@@ -41,6 +70,10 @@ const DEFAULT_EMBER_JS_INSTRUCTIONS = `### [System Directive: Interactive JavaSc
 
 *   **Example (Simple Chart):**
     \`\`\`javascript
+    ---
+    libs:
+      - chartjs
+    ---
     const canvas = document.createElement('canvas');
     root.appendChild(canvas);
 
@@ -59,6 +92,27 @@ const DEFAULT_EMBER_JS_INSTRUCTIONS = `### [System Directive: Interactive JavaSc
     ember.inject({ content: 'A chart of poll results has been displayed.' });
     \`\`\`
 
+**Persistent Widget State:**
+*   Use \`ember.state\` to remember things (scores, inventory, form values, puzzle progress) across chat reloads, edits and chat switches.
+*   \`ember.state.get('key')\` returns a saved value (or \`undefined\`); \`ember.state.get()\` returns all saved values.
+*   \`ember.state.set('key', value)\` saves a JSON-serializable value; \`ember.state.set({ a: 1, b: 2 })\` saves several; \`ember.state.remove('key')\` and \`ember.state.clear()\` delete.
+*   Read saved state when the script starts and restore the widget from it.
+
+**Character Storage (shared between chats):**
+*   \`ember.storage\` keeps data (high scores, unlocks, preferences) for the current character across all chats. Every call returns a Promise.
+*   \`await ember.storage.get('highScore')\`, \`await ember.storage.set('highScore', 42)\`, \`ember.storage.remove(key)\`, \`ember.storage.keys()\`, \`ember.storage.clear()\`.
+*   Pass \`{ scope: 'global' }\` as the last argument to share data with every character. Storage has a size quota, so store compact JSON values.
+
+**Widget Lifecycle:**
+*   The widget is shown once your code has run (or the Promise it returns has settled). Slow async setup: call \`ember.progress(50, 'Loading model...')\` while loading and \`ember.ready()\` when done; if your code calls \`ember.ready()\`, the widget waits for that call.
+*   Call \`ember.fail('reason')\` when the widget cannot work, instead of leaving it blank.
+*   For audio-only or logic-only scripts add \`headless: true\` to the frontmatter. \`timeout: 30\` gives slow widgets more seconds to become ready.
+
+**Components (JSX and TypeScript):**
+*   \`\`\`jsx, \`\`\`tsx and \`\`\`ts blocks are compiled before they run. JSX becomes Preact elements; \`preact\` (with \`render\`, \`h\`) and \`preactHooks\` (\`useState\`, \`useEffect\`, ...) are loaded automatically.
+*   Example: \`const Counter = () => { const [n, setN] = preactHooks.useState(0); return <button onClick={() => setN(n + 1)}>{n}</button>; }; preact.render(<Counter />, root);\`
+*   Module imports work as well: \`import { render } from 'preact'; import { useState } from 'preact/hooks';\`
+
 **Available APIs within JavaScript Blocks:**
 
 **A. Text Generation (LLM):**
@@ -156,7 +210,7 @@ Your task is to analyze the provided JavaScript code, which has failed to execut
 
 **EMBER JS ENVIRONMENT RULES (CHECK FOR THESE ERRORS):**
 *   **Use the 'root' Element:** A \`div\` with the id \`root\` is provided. All visual output (canvases, divs, svgs, etc.) MUST be appended to this \`root\` element.
-*   **Available Libraries:** \`d3\`, \`three\`, \`p5\`, \`anime\`, \`Chart\`, \`Matter\` are automatically loaded and ready to use.
+*   **Libraries:** Libraries are requested in a frontmatter block at the top of the code (a \`---\` line, a \`libs:\` key with one \`  - alias\` item per line, then a closing \`---\` line). Available aliases (alias → global): {{emberLibraries}}. Keep any existing frontmatter and add missing libraries to it.
 *   **Context Injection:** Your script can inject information into SillyTavern's context using the global \`ember.inject()\` function.
     *   Call \`ember.inject({ id: 'your_id', depth: 0, content: 'Your information here', ephemeral: false });\`
     *   \`id\`: (Optional, defaults to 'ember_js_block') The ID for the injection.
@@ -164,17 +218,65 @@ Your task is to analyze the provided JavaScript code, which has failed to execut
     *   \`content\`: (Required) The text string to inject.
     *   \`ephemeral\`: (Optional, defaults to false) Set to true to make the injection temporary.
     *   Example: \`ember.inject({ content: 'The player has found the hidden key.' });\`
-*   **API Access:** JavaScript blocks can use \`fetch()\` to interact with external APIs like Pollinations for Text Generation, TTS, or Image Generation, provided the sandbox allows (\`allow-same-origin\` is enabled). Use \`encodeURIComponent()\` for URL parameters.
+*   **Persistent State:** \`ember.state.get(key)\` / \`ember.state.set(key, value)\` store JSON-serializable values with the chat message. Keep existing state handling intact.
+*   **API Access:** JavaScript blocks can use \`fetch()\` to interact with external APIs like Pollinations for Text Generation, TTS, or Image Generation. Use \`encodeURIComponent()\` for URL parameters. The user's network policy may block hosts that are not on their allowlist; do not work around it.
+*   **Isolation:** The sandbox may have an opaque origin. Never access \`window.parent\`, \`window.top\`, cookies or \`localStorage\`; use the \`ember.*\` APIs instead.
 
 **YOUR TASK:**
 Analyze the user's broken script and the associated error/symptom. Identify the bug. Correct it, ensure the entire script is properly formatted, and return ONLY the complete, corrected code in a single block.`;
 
+// Fence names the healer is asked for and whose replies are accepted, by block language (getTranspileLanguage)
+const HEAL_FENCES = {
+    js: { name: 'javascript', pattern: 'javascript|js' },
+    ts: { name: 'ts', pattern: 'ts|typescript' },
+    tsx: { name: 'tsx', pattern: 'tsx' },
+    jsx: { name: 'jsx', pattern: 'jsx' },
+};
+
+const HTML_HEALER_SYSTEM_PROMPT = `[System Directive: You are an Ember HTML Healer]
+You are an expert web developer. The user's chat message is HTML that Ember renders in a sandboxed frame, and it has problems: markup the browser had to repair (unclosed or stray tags), scripts that throw, or resources that fail to load.
+
+**CRITICAL INSTRUCTIONS:**
+1.  **OUTPUT FORMAT:** Your response MUST contain ONLY the complete, corrected HTML inside a single \`html\` markdown block. Do NOT add any explanations, apologies, or conversational text before or after the block.
+2.  **KEEP THE CONTENT:** Fix the listed problems and anything else that is clearly broken, but leave the text, structure and styling otherwise unchanged.
+3.  **SANDBOX RULES:** The frame may have an opaque origin. Never access \`window.parent\`, \`window.top\`, cookies or \`localStorage\`. The user's network policy may block external hosts; do not work around it.
+4.  **TRUNCATION:** If the HTML is cut off, complete it sensibly and close every open element.`;
+
+
+// Replaced with the built-in and custom library list when a prompt is sent
+const LIBRARY_LIST_PLACEHOLDER = '{{emberLibraries}}';
 
 const ELEMENT_CLICKABLE_ATTRIBUTE = "data-ember-clickable";
 const ELEMENT_LLM_SUBMIT_ATTRIBUTE = "data-submit";
 const ELEMENT_INJECT_CONTENT_ATTRIBUTE = "data-inject-content";
 
 const emberMaxHeights = {};
+// frameId -> { messageId, blockKey, iframe, port } for every live sandbox frame
+const emberFrames = new Map();
+// Frame ids must be unique even for frames created in the same millisecond
+let frameCounter = 0;
+// `${messageId}:${blockKey}` -> heal attempt record (healPolicy.js), kept while the message is re-rendered
+const healRecords = new Map();
+// Widget state is serialized into the chat file, so keep it small
+const MAX_WIDGET_STATE_CHARS = 200000;
+const CONSENT_PREVIEW_LINES = 12;
+// Seconds a widget may take to become ready unless its frontmatter sets `timeout:`
+const DEFAULT_READY_TIMEOUT_SECONDS = 15;
+// Widgets closer than this to the viewport start; widgets further away than UNLOAD_MARGIN are unloaded
+const LAZY_START_MARGIN = '300px 0px';
+const LAZY_UNLOAD_MARGIN = '200% 0px';
+const PREFLIGHT_DEFAULT_ACTIONS = {
+    'frame-access': 'warn',
+    'cookie-access': 'warn',
+    'storage-access': 'warn',
+    'dynamic-eval': 'warn',
+    'infinite-loop': 'block',
+    'unknown-host': 'warn',
+};
+// Code hashes approved with "Run" in this session; forgotten on reload
+const sessionApprovedCode = new Set();
+// Consent placeholder element -> { trustKey, onApprove } for prompts still waiting on the page
+const pendingConsents = new Map();
 let emberSettings = {
     directHtmlEnabled: true,
     directHtmlProcessingMode: 'both',
@@ -182,8 +284,46 @@ let emberSettings = {
     clickableInputsEnabled: true,
     clickableInputsPromptEnabled: true,
     clickableInputsPrompt: DEFAULT_EMBER_JS_INSTRUCTIONS,
+    customLibraries: [], // { alias, global, name, path } or { alias, global, name, stored: true } for uploads
+    widgetStorageQuotaKb: 512, // Per character (or global) ember.storage quota
+    isolationMode: 'strict', // 'strict' (opaque-origin frames) or 'legacy' (same origin as SillyTavern)
+    isolationOverrides: {}, // 'char:<avatar>' / 'group:<id>' / 'chat:<id>' -> 'strict' | 'legacy'
+    networkPolicy: 'allowlist', // 'block', 'allowlist' or 'allow' for requests made by widget frames
+    networkAllowlist: ['text.pollinations.ai', 'image.pollinations.ai'],
+    requireConsent: true, // Ask before running scripts from sources that are not trusted yet
+    trustedSources: {}, // 'char:<avatar>' / 'group:<id>' / 'chat:<id>' / 'hash:<sha256>' -> label
+    preflightActions: {}, // preflight rule -> 'block' | 'warn' | 'allow'; missing rules use PREFLIGHT_DEFAULT_ACTIONS
+    widgetConsoleEnabled: true, // Forward frame console output to a panel under each widget
+    lazyWidgets: true, // Start widgets when they scroll into view and unload them far off-screen
+    maxRunningWidgets: 6, // Widgets with a live frame at once; 0 for no limit
+    watchdogEnabled: true, // Stop frames that stop sending heartbeats or stay over the CPU budget
+    watchdogTimeoutSeconds: 5,
+    watchdogCpuBudget: 90, // Percent of time in long tasks, sustained; 0 for no limit
+    healerBackend: 'current', // 'current' (SillyTavern's connection), 'profile' or 'endpoint'
+    healerProfileId: '',
+    healerEndpointUrl: '',
+    healerEndpointKey: '',
+    healerEndpointModel: '',
+    healerMaxTokens: 4096,
+    healMode: 'manual', // 'manual', 'auto' or 'classes' (automatic only for healErrorClasses); automatic heals send code to the healer model, so they are opt-in
+    healMaxAttempts: 3, // Automatic heals per block before giving up
+    healErrorClasses: ['SyntaxError', 'ReferenceError', 'TypeError'],
 };
 
+function formatLibraryList(libraries = getAllLibraries()) {
+    return libraries.map(libDef => libDef.global ? `\`${libDef.alias}\` → \`${libDef.global}\`` : `\`${libDef.alias}\``).join(', ');
+}
+
+// Custom prompts saved before the placeholder existed get the custom libraries appended instead
+function fillLibraryPlaceholder(prompt) {
+    if (prompt.includes(LIBRARY_LIST_PLACEHOLDER)) {
+        return prompt.split(LIBRARY_LIST_PLACEHOLDER).join(formatLibraryList());
+    }
+    const customLibraries = emberSettings.customLibraries || [];
+    if (customLibraries.length === 0) return prompt;
+    return `${prompt}\n\n**Additional Ember Libraries (alias → global):** ${formatLibraryList(customLibraries)}.`;
+}
+
 function updateEmberPromptInjection() {
     const promptId = "emberinstructions";
     const promptDepth = 4;
@@ -193,27 +333,28 @@ function updateEmberPromptInjection() {
     console.log(`[Ember Debug] clickableInputsPromptEnabled: ${emberSettings.clickableInputsPromptEnabled}`);
 
     if (emberSettings.clickableInputsEnabled && emberSettings.clickableInputsPromptEnabled) {
+        const instructions = fillLibraryPlaceholder(emberSettings.clickableInputsPrompt);
         console.log(`[Ember Debug] Setting extension prompt with ID: ${promptId}`);
-        console.log(`[Ember Debug] Prompt content length: ${emberSettings.clickableInputsPrompt.length} chars`);
+        console.log(`[Ember Debug] Prompt content length: ${instructions.length} chars`);
         console.log(`[Ember Debug] extension_prompt_types.IN_PROMPT value:`, extension_prompt_types.IN_PROMPT);
         console.log(`[Ember Debug] Available prompt types:`, extension_prompt_types);
         
         // Try multiple prompt types to see which one works
         console.log(`[Ember Debug] Attempting to set prompt with IN_PROMPT type...`);
-        setExtensionPrompt(promptId, emberSettings.clickableInputsPrompt, extension_prompt_types.IN_PROMPT, promptDepth);
+        setExtensionPrompt(promptId, instructions, extension_prompt_types.IN_PROMPT, promptDepth);
         console.log(`[Ember Debug] Extension prompt set with IN_PROMPT successfully`);
         
         // Also try SYSTEM_PROMPT as backup
         if (extension_prompt_types.SYSTEM_PROMPT !== undefined) {
             console.log(`[Ember Debug] Also setting with SYSTEM_PROMPT type as backup...`);
-            setExtensionPrompt(promptId + "_system", emberSettings.clickableInputsPrompt, extension_prompt_types.SYSTEM_PROMPT, promptDepth);
+            setExtensionPrompt(promptId + "_system", instructions, extension_prompt_types.SYSTEM_PROMPT, promptDepth);
             console.log(`[Ember Debug] Extension prompt set with SYSTEM_PROMPT successfully`);
         }
         
         // Also try BEFORE_PROMPT as backup
         if (extension_prompt_types.BEFORE_PROMPT !== undefined) {
             console.log(`[Ember Debug] Also setting with BEFORE_PROMPT type as backup...`);
-            setExtensionPrompt(promptId + "_before", emberSettings.clickableInputsPrompt, extension_prompt_types.BEFORE_PROMPT, promptDepth);
+            setExtensionPrompt(promptId + "_before", instructions, extension_prompt_types.BEFORE_PROMPT, promptDepth);
             console.log(`[Ember Debug] Extension prompt set with BEFORE_PROMPT successfully`);
         }
         
@@ -358,10 +499,14 @@ async function renderGenericHtmlInFrame(targetElement, htmlString, messageId) {
     
     const originalHtmlInDom = targetElement.innerHTML; // Store current DOM content for potential restore
     targetElement.innerHTML = ''; // Clear target for iframe
+    const isolationMode = getIsolationMode();
+    const frameId = `ember-html-${messageId}-${++frameCounter}`;
     const iframe = document.createElement('iframe');
     iframe.className = 'ember-generic-html-iframe';
     Object.assign(iframe.style, { width: '100%', border: 'none', display: 'block', overflow: 'hidden' });
-    iframe.setAttribute('sandbox', 'allow-scripts allow-same-origin');
+    iframe.setAttribute('sandbox', getSandboxAttribute(isolationMode));
+    iframe.dataset.frameId = frameId;
+    iframe.dataset.isolation = isolationMode;
 
     const loadingSpinner = Object.assign(document.createElement('div'), {
         className: 'ember-loading-container',
@@ -377,6 +522,12 @@ async function renderGenericHtmlInFrame(targetElement, htmlString, messageId) {
     };
     let resizeObserverInstance = null;
     iframe.addEventListener('load', () => {
+        if (isolationMode === 'strict') {
+            // Opaque-origin frames report their height over the bridge instead
+            loadingSpinner.style.display = 'none';
+            iframe.style.display = 'block';
+            return;
+        }
         if (!iframe.contentWindow?.document?.body) { console.error("[Ember HTML] Iframe body not found on load for", messageId); return; }
         const body = iframe.contentWindow.document.body;
         const htmlEl = iframe.contentWindow.document.documentElement;
@@ -404,11 +555,15 @@ async function renderGenericHtmlInFrame(targetElement, htmlString, messageId) {
         }
         if (!targetElement.contains(iframe)) {
             delete targetElement.dataset.genericHtmlRendered;
+            emberFrames.get(frameId)?.port?.close();
+            emberFrames.delete(frameId);
+            obs.disconnect();
         }
     }).observe(targetElement, { childList: true });
 
     const computedParentStyle = window.getComputedStyle(targetElement);
-    const iframeContent = `<!DOCTYPE html><html><head><meta charset="UTF-8"><base target="_blank"><style>
+    const { policy, allowlist } = getNetworkPolicy();
+    const iframeContent = `<!DOCTYPE html><html><head><meta charset="UTF-8">${buildCspMetaTag(policy, allowlist, [location.origin])}<base target="_blank"><style>
         html { margin:0; padding:0; /* overflow:hidden; --- Let content dictate height */ }
         body {
             font-family:${computedParentStyle.fontFamily};
@@ -431,14 +586,29 @@ async function renderGenericHtmlInFrame(targetElement, htmlString, messageId) {
         pre, code { background-color: var(--background-color, #eee); padding: 2px 4px; border-radius: 4px; }
         pre { display: block; margin: 1em 0; padding: 10px; overflow-x: auto; }
         blockquote { margin: 1em 40px; padding: 0 15px; border-left: 4px solid var(--SmartThemeBorderColor, #ccc); opacity: 0.8; }
-    </style></head><body>${processedHtml}</body></html>`;
+    </style>${buildHtmlFrameScript(frameId, isolationMode === 'strict')}</head><body>${processedHtml}</body></html>`;
+    // Script errors report frame document lines; they are lines of the message HTML when it was not rewritten
+    const bodyLine = iframeContent.slice(0, iframeContent.indexOf('<body>')).split('\n').length;
+    const parsed = safeParseHtml(htmlString);
+    const problems = parsed.success
+        ? parsed.problems.map(problem => `line ${problem.line}: ${problem.message}`)
+        : [`The HTML could not be parsed: ${parsed.error}`];
     try {
-        targetElement.appendChild(iframe); // Append iframe *before* writing to it
-        if (iframe.contentWindow) { // Check again just before use
-             iframe.contentWindow.document.open();
-             iframe.contentWindow.document.write(iframeContent);
-             iframe.contentWindow.document.close();
-        } else { throw new Error("iframe.contentWindow not available for generic HTML rendering just before write."); }
+        emberFrames.set(frameId, {
+            messageId: Number(messageId), blockKey: 'html', kind: 'html', iframe, port: null, monitor: createFrameMonitor(),
+            html: htmlString, problems, lineShift: processedHtml === htmlString ? bodyLine - 1 : null,
+        });
+        if (isolationMode === 'strict') {
+            iframe.srcdoc = iframeContent;
+            targetElement.appendChild(iframe);
+        } else {
+            targetElement.appendChild(iframe); // Append iframe *before* writing to it
+            if (iframe.contentWindow) { // Check again just before use
+                 iframe.contentWindow.document.open();
+                 iframe.contentWindow.document.write(iframeContent);
+                 iframe.contentWindow.document.close();
+            } else { throw new Error("iframe.contentWindow not available for generic HTML rendering just before write."); }
+        }
     } catch (e) {
         console.error(`[Ember HTML] Error writing to iframe for message ${messageId}:`, e);
         targetElement.innerHTML = originalHtmlInDom; // Restore original DOM content if iframe fails
@@ -446,6 +616,66 @@ async function renderGenericHtmlInFrame(targetElement, htmlString, messageId) {
         loadingSpinner.remove();
     }
     targetElement.dataset.genericHtmlRendered = 'true';
+    const frameInfo = emberFrames.get(frameId);
+    if (frameInfo) showHtmlDebugNotice(frameId, frameInfo);
+}
+
+// Lists what is wrong with a rendered HTML message (markup the parser repaired, script and loading errors)
+// and offers to heal it. The notice keeps the frame record, so it still works once the frame is gone.
+function showHtmlDebugNotice(frameId, frameInfo) {
+    const hasHistory = !!getEmberMessageData(frameInfo.messageId)?.versions?.html;
+    if (!frameInfo.iframe?.isConnected || (!frameInfo.problems.length && !hasHistory)) return;
+    let notice = frameInfo.iframe.parentElement.querySelector(`.ember-html-debug[data-frame-id="${frameId}"]`);
+    if (!notice) {
+        notice = document.createElement('div');
+        notice.className = 'ember-html-debug';
+        notice.dataset.frameId = frameId;
+        notice.emberHtml = frameInfo;
+        notice.innerHTML = `
+            <div class="ember-html-debug-header">
+                <i class="fa-solid fa-bug"></i> <span class="ember-html-debug-summary"></span>
+                <div class="menu_button" data-html-action="heal"><i class="fa-solid fa-bolt"></i> Heal HTML</div>
+                ${hasHistory ? '<div class="menu_button" data-html-action="history"><i class="fa-solid fa-clock-rotate-left"></i> Versions</div>' : ''}
+            </div>
+            <ul class="ember-html-problems"></ul>`;
+        frameInfo.iframe.insertAdjacentElement('afterend', notice);
+    }
+    const count = frameInfo.problems.length;
+    notice.querySelector('.ember-html-debug-summary').textContent = count
+        ? `Ember found ${count} problem${count === 1 ? '' : 's'} in this HTML.`
+        : 'This HTML has been healed before.';
+    const list = notice.querySelector('.ember-html-problems');
+    list.replaceChildren(...frameInfo.problems.map(problem => Object.assign(document.createElement('li'), { textContent: problem })));
+    return notice;
+}
+
+// Sends a rendered HTML message and its problems to the healer and shows the fix as a proposal under `anchor`
+async function attemptHtmlHeal(messageId, html, problems, anchor) {
+    const healButton = document.querySelector(`.mes[mesid="${messageId}"] .ember-heal-button`);
+    if (healButton?.classList.contains('fa-spin')) return false;
+    if (healButton) healButton.classList.add('fa-spin');
+    const problemList = problems.length ? problems : ['Manual heal requested.'];
+    const prompt = {
+        system: HTML_HEALER_SYSTEM_PROMPT,
+        user: `Problems:\n${problemList.map(problem => `- ${problem}`).join('\n')}\n\n\`\`\`html\n${html}\n\`\`\``,
+    };
+    try {
+        const reply = await requestHealerCompletion(prompt, getHealerOptions(), getContext());
+        const htmlMatch = reply.match(/```html\s*([\s\S]*?)\s*```/);
+        const healedHtml = htmlMatch ? htmlMatch[1].trim() : reply.trim();
+        if (!healedHtml || healedHtml === html.trim()) {
+            console.log('[Ember Self-Heal] AI provided identical or empty HTML. No fix proposed.');
+            toastr.info('The healer returned the same HTML; there is nothing to review.', 'Ember');
+            return false;
+        }
+        showHealProposal({ messageId: Number(messageId), anchor, blockKey: 'html', originalCode: html, healedCode: healedHtml, errorMessage: problemList.join('; '), problems: problemList });
+        return true;
+    } catch (err) {
+        console.error('[Ember Self-Heal] HTML heal failed:', err);
+        alert(`Ember Self-Heal failed for message ${messageId}: ${err.message}`);
+        return false;
+    }
+    finally { if (healButton) healButton.classList.remove('fa-spin'); }
 }
 
 
@@ -471,77 +701,314 @@ function addGenericHtmlRunButton(messageDomElement, messageId, htmlContentToRend
     }
 }
 
-async function attemptSelfHeal(messageId, codeElement, errorMessage) {
+function getHealerOptions() {
+    return {
+        backend: emberSettings.healerBackend,
+        profileId: emberSettings.healerProfileId,
+        endpointUrl: emberSettings.healerEndpointUrl,
+        endpointKey: emberSettings.healerEndpointKey,
+        endpointModel: emberSettings.healerEndpointModel,
+        maxTokens: emberSettings.healerMaxTokens,
+    };
+}
+
+// Asks the healer for a fix and shows it as a proposal; nothing changes until the user accepts it.
+// `target` is { code, blockKey, anchor, language }: the code to heal, its key in the message, the element the proposal
+// goes under and the block's transpile language (null for JavaScript).
+async function attemptSelfHeal(messageId, target, errorMessage, location = null, attemptLabel = '') {
     const healButton = document.querySelector(`.mes[mesid="${messageId}"] .ember-heal-button`);
-    if (healButton?.classList.contains('fa-spin')) return;
+    if (healButton?.classList.contains('fa-spin')) return false;
     if (healButton) healButton.classList.add('fa-spin');
-    const originalCode = codeElement.innerText;
-    const promptText = `${HEALER_SYSTEM_PROMPT}\n\nError/Symptom: "${errorMessage}"\n\n\`\`\`javascript\n${originalCode}\n\`\`\``;
+    const originalCode = target.code;
+    const { body, lineOffset } = parseFrontmatter(originalCode);
+    const { policy, allowlist } = getNetworkPolicy();
+    const findings = analyzeWidgetCode(body, { networkPolicy: policy, allowlist, lineOffset }).findings
+        .filter(finding => getPreflightAction(finding.rule) !== 'allow');
+    const findingsText = findings.length ? `\n\nPreflight findings (fix these as well):\n${formatFindings(findings)}` : '';
+    const failingLine = location ? originalCode.split('\n')[location.line - 1] : undefined;
+    const locationText = failingLine !== undefined ? `\nError location: line ${location.line}, column ${location.column} of the code block below: \`${failingLine.trim()}\`` : '';
+    const record = getHealRecord(messageId, target.blockKey);
+    const fence = HEAL_FENCES[target.language] || HEAL_FENCES.js;
+    const previousText = describePreviousAttempt(record?.previous, originalCode, fence.name);
+    // TypeScript and JSX blocks are healed in their own language, so types and JSX survive the fix
+    const languageText = target.language ? `\n\nThis block is written in ${fence.name.toUpperCase()}, not plain JavaScript. Keep its types and JSX and answer with a single \`${fence.name}\` block.` : '';
+    const prompt = {
+        system: fillLibraryPlaceholder(HEALER_SYSTEM_PROMPT),
+        user: `Error/Symptom: "${errorMessage}"${locationText}${findingsText}${previousText}${languageText}\n\n\`\`\`${fence.name}\n${originalCode}\n\`\`\``,
+    };
     try {
-        const res = await fetch('https://text.pollinations.ai/', {
-            method: 'POST', headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ model: 'gpt-4.1', messages: [{ role: 'user', content: promptText }], private: true })
-        });
-        if (!res.ok) throw new Error(`AI Heal API failed: ${res.status}`);
-        const correctedText = await res.text();
-        const codeMatch = correctedText.match(/```javascript\s*([\s\S]*?)\s*```/);
+        const correctedText = await requestHealerCompletion(prompt, getHealerOptions(), getContext());
+        // A reply fenced with another language name is still code; only a reply without any fence is taken as-is
+        const codeMatch = correctedText.match(new RegExp(`\`\`\`(?:${fence.pattern})(?![\\w+-])\\s*([\\s\\S]*?)\\s*\`\`\``))
+            || correctedText.match(/```[\w+-]*\s*([\s\S]*?)\s*```/);
         const correctedCode = codeMatch ? codeMatch[1].trim() : correctedText.trim();
 
-        if (correctedCode && correctedCode.trim() !== originalCode.trim()) {
-            const core = getContext(); const msg = core.chat[messageId];
-            if (!msg) throw new Error(`Message ${messageId} not found in chat context.`);
-
-            let preElement = document.querySelector(`.mes[mesid="${messageId}"] pre[data-ember-processed="true"]`);
-            if (!preElement) {
-                 console.warn(`[Ember Self-Heal] Could not find pre element with data-ember-processed="true" for message ${messageId}. Searching by content.`);
-                 const allPre = document.querySelectorAll(`.mes[mesid="${messageId}"] pre`);
-                 for(const pre of allPre) {
-                      if (pre.querySelector('code')?.innerText.trim() === originalCode.trim()) {
-                           preElement = pre;
-                           break;
-                      }
-                 }
-                 if (!preElement) {
-                      throw new Error(`Could not find the original code block for message ${messageId} to replace.`);
-                 }
-            }
-
-            const originalFrontmatterMatch = originalCode.match(/^---\s*([\s\S]*?)\s*---/);
-            const correctedMarkdown = `${originalFrontmatterMatch ? originalFrontmatterMatch[0].trim() + '\n' : '---\n---\n'}\n\`\`\`javascript\n${correctedCode}\n\`\`\``;
-            const originalMarkdownBlockMatch = msg.mes.match(new RegExp(`(\`\`\`javascript\\s*${escapeRegExp(originalCode)}\\s*\`\`\`)`, 's'));
-
-            if (originalMarkdownBlockMatch) {
-                 const fullOriginalBlock = originalMarkdownBlockMatch[1];
-                 const fullOriginalMarkdownWithFrontmatterMatch = msg.mes.match(new RegExp(`(---\\s*[\\s\\S]*?\\s*---\\s*)?${escapeRegExp(fullOriginalBlock)}`, 's'));
-
-                 if (fullOriginalMarkdownWithFrontmatterMatch) {
-                      const fullOriginalMarkdown = fullOriginalMarkdownWithFrontmatterMatch[0];
-                      msg.mes = msg.mes.replace(fullOriginalMarkdown, correctedMarkdown);
-                      const msgEl = document.querySelector(`.mes[mesid="${messageId}"] .mes_text`);
-                       if (msgEl) {
-                           cleanupEmberElements(messageId);
-                           msgEl.innerHTML = messageFormatting(msg.mes, msg.is_user ? core.name2 : msg.name, msg.is_system, msg.is_user, Number(messageId));
-                           addCopyToCodeBlocks(msgEl);
-                           handleMessageRender(Number(messageId), msg.is_user);
-                           eventSource.emit(event_types.MESSAGE_EDITED, Number(messageId));
-                      } else {
-                          console.error(`[Ember Self-Heal] Could not find message text element for message ${messageId} after editing.`);
-                          alert('Ember: Message content updated in chat, but DOM element not found to re-render.');
-                      }
-                 } else { throw new Error("Could not find original markdown block structure in message text."); }
-            } else { throw new Error("Could not find the original code block markdown in message text."); }
-        } else { console.log('[Ember Self-Heal] AI provided identical or empty code. No fix applied.'); }
+        if (!correctedCode || correctedCode.trim() === originalCode.trim()) {
+            console.log('[Ember Self-Heal] AI provided identical or empty code. No fix proposed.');
+            toastr.info('The healer returned the same code; there is nothing to review.', 'Ember');
+            return false;
+        }
+        // Frontmatter lives inside the code block; keep the original header if the healer dropped it
+        const originalFrontmatterMatch = originalCode.match(/^\s*---[\s\S]*?\n---[ \t]*\n?/);
+        const healedCode = originalFrontmatterMatch && !parseFrontmatter(correctedCode).hasFrontmatter
+            ? `${originalFrontmatterMatch[0].trim()}\n${correctedCode}`
+            : correctedCode;
+        if (record) record.previous = { code: healedCode, error: errorMessage };
+        showHealProposal({ messageId: Number(messageId), target, anchor: target.anchor, blockKey: target.blockKey, originalCode, healedCode, errorMessage, location, attemptLabel });
+        return true;
     } catch (err) {
         console.error('[Ember Self-Heal] Failed:', err);
         alert(`Ember Self-Heal failed for message ${messageId}: ${err.message}`);
+        return false;
     }
     finally { if (healButton) healButton.classList.remove('fa-spin'); }
 }
 
+// Index of a code block among the message's code blocks, which is also its widget block key
+function getCodeBlockKey(messageId, codeElement) {
+    const codeBlocks = Array.from(document.querySelectorAll(`.mes[mesid="${messageId}"] .mes_text pre > code`));
+    const index = codeBlocks.indexOf(codeElement);
+    return index === -1 ? null : `codeblock-${index}`;
+}
+
+function getCodeBlockHealTarget(messageId, codeElement) {
+    return {
+        code: codeElement.innerText,
+        blockKey: getCodeBlockKey(messageId, codeElement),
+        anchor: codeElement.parentElement,
+        language: getTranspileLanguage(codeElement.className),
+    };
+}
+
+function getHealRecord(messageId, blockKey) {
+    if (!blockKey) return null;
+    const key = `${Number(messageId)}:${blockKey}`;
+    if (!healRecords.has(key)) healRecords.set(key, createHealRecord());
+    return healRecords.get(key);
+}
+
+function getHealPolicy() {
+    return {
+        mode: emberSettings.healMode,
+        maxAttempts: emberSettings.healMaxAttempts,
+        errorClasses: emberSettings.healErrorClasses || [],
+    };
+}
+
+// Heals after widget errors, within the policy's attempt budget and with a growing delay between attempts
+async function requestAutomaticHeal(messageId, target, errorMessage, location) {
+    const record = getHealRecord(messageId, target.blockKey);
+    if (!record) return;
+    const policy = getHealPolicy();
+    const decision = decideAutomaticHeal(record, errorMessage, policy);
+    if (decision.action === 'give-up') {
+        console.log(`[Ember Self-Heal] Gave up on a block of message ${messageId} after ${record.attempts} attempts.`);
+        showHealStatus(target.anchor, `Automatic healing gave up after ${record.attempts} attempt${record.attempts === 1 ? '' : 's'}. The heal button can still try again.`, true);
+        return;
+    }
+    if (decision.action !== 'heal') return;
+    if (decision.delayMs) {
+        showHealStatus(target.anchor, `Healing in ${Math.round(decision.delayMs / 1000)} s (automatic attempt ${record.attempts + 1} of ${policy.maxAttempts})...`);
+        await new Promise(resolve => setTimeout(resolve, decision.delayMs));
+    }
+    // One heal runs per message at a time; other blocks wait their turn instead of losing the attempt
+    while (isHealInProgress(messageId)) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+    // The message was re-rendered meanwhile; its new error decides again
+    if (!target.anchor.isConnected) return;
+    showHealStatus(target.anchor, null);
+    // Another error of this block may have used the budget while this one waited
+    if (decideAutomaticHeal(record, errorMessage, policy).action !== 'heal') return;
+    record.attempts++;
+    await attemptSelfHeal(messageId, target, errorMessage, location, `automatic attempt ${record.attempts} of ${policy.maxAttempts}`);
+}
+
+function isHealInProgress(messageId) {
+    return !!document.querySelector(`.mes[mesid="${messageId}"] .ember-heal-button`)?.classList.contains('fa-spin');
+}
+
+function showHealStatus(anchor, text, gaveUp = false) {
+    anchor.parentElement?.querySelectorAll('.ember-heal-status').forEach(status => {
+        if (status.emberAnchor === anchor) status.remove();
+    });
+    if (!text) return;
+    const status = document.createElement('div');
+    status.className = gaveUp ? 'ember-heal-status ember-heal-gave-up' : 'ember-heal-status';
+    status.emberAnchor = anchor;
+    status.innerHTML = `<i class="fa-solid ${gaveUp ? 'fa-ban' : 'fa-bolt'}"></i> <span>${escapeHtml(text)}</span>`;
+    anchor.after(status);
+}
+
+// Proposals sit under their anchor: the code block, the script's syntax error or the HTML debug notice (blockKey 'html')
+function showHealProposal(proposal) {
+    const { anchor, blockKey } = proposal;
+    anchor.parentElement?.querySelectorAll('.ember-heal-proposal').forEach(card => {
+        if (card.emberHeal?.anchor === anchor) card.remove();
+    });
+    const hasHistory = !!(blockKey && getEmberMessageData(proposal.messageId)?.versions?.[blockKey]);
+
+    const card = document.createElement('div');
+    card.className = 'ember-heal-proposal';
+    card.emberHeal = proposal;
+    card.innerHTML = `
+        <div class="ember-heal-proposal-header"><i class="fa-solid fa-bolt"></i> <b>Proposed fix</b>${proposal.attemptLabel ? ` (${proposal.attemptLabel})` : ''} <span>for: ${escapeHtml(proposal.errorMessage)}</span></div>
+        <div class="ember-heal-proposal-columns"><span>Current</span><span>Proposed</span></div>
+        <div class="ember-heal-proposal-actions">
+            <button class="menu_button" data-heal-action="accept"><i class="fa-solid fa-check"></i> Accept</button>
+            <button class="menu_button" data-heal-action="reject"><i class="fa-solid fa-xmark"></i> Reject</button>
+            <button class="menu_button" data-heal-action="retry"><i class="fa-solid fa-rotate-right"></i> Retry</button>
+            ${hasHistory ? '<button class="menu_button" data-heal-action="history"><i class="fa-solid fa-clock-rotate-left"></i> Versions</button>' : ''}
+        </div>`;
+    card.querySelector('.ember-heal-proposal-columns').after(buildDiffView(proposal.originalCode, proposal.healedCode));
+    anchor.after(card);
+    card.scrollIntoView({ block: 'nearest' });
+}
+
+async function handleHealProposalAction(card, action) {
+    const proposal = card.emberHeal;
+    switch (action) {
+        case 'accept':
+            replaceBlockInMessage(proposal.messageId, proposal.blockKey, proposal.originalCode, proposal.healedCode);
+            if (proposal.blockKey) recordBlockVersion(proposal.messageId, proposal.blockKey, proposal.originalCode, proposal.healedCode, proposal.errorMessage);
+            break;
+        case 'reject':
+            card.remove();
+            break;
+        case 'retry': {
+            card.querySelectorAll('button').forEach(button => { button.disabled = true; });
+            card.classList.add('ember-heal-retrying');
+            // A new proposal replaces this card; it stays when the retry fails
+            if (proposal.blockKey === 'html') {
+                await attemptHtmlHeal(proposal.messageId, proposal.originalCode, proposal.problems, proposal.anchor);
+            } else {
+                await attemptSelfHeal(proposal.messageId, proposal.target, proposal.errorMessage, proposal.location);
+            }
+            card.querySelectorAll('button').forEach(button => { button.disabled = false; });
+            card.classList.remove('ember-heal-retrying');
+            break;
+        }
+        case 'history':
+            toggleVersionHistory(card.querySelector('.ember-heal-proposal-actions'), proposal.messageId, proposal.blockKey);
+            break;
+    }
+}
+
+// Versions of healed blocks, oldest first: { versions: [{ code, source: 'original'|'heal', time, error }], current }
+function recordBlockVersion(messageId, blockKey, previousCode, code, error) {
+    const emberData = getEmberMessageData(messageId, true);
+    if (!emberData) throw new Error(`Message ${messageId} not found in chat context.`);
+    emberData.versions = emberData.versions || {};
+    const history = emberData.versions[blockKey] || { versions: [{ code: previousCode, source: 'original', time: Date.now() }], current: 0 };
+    history.versions.push({ code, source: 'heal', time: Date.now(), error });
+    history.current = history.versions.length - 1;
+    emberData.versions[blockKey] = history;
+    saveChatDebounced();
+}
+
+function toggleVersionHistory(anchor, messageId, blockKey) {
+    const existing = anchor.parentElement.querySelector(':scope > .ember-version-list');
+    if (existing) {
+        existing.remove();
+        return;
+    }
+    const history = blockKey ? getEmberMessageData(messageId)?.versions?.[blockKey] : null;
+    if (!history) {
+        toastr.info('This block has no earlier versions. Versions are kept once a heal is accepted.', 'Ember');
+        return;
+    }
+    const list = document.createElement('div');
+    list.className = 'ember-version-list';
+    let healNumber = 0;
+    history.versions.forEach((version, index) => {
+        const name = version.source === 'original' ? 'Original model output' : `Heal ${++healNumber}`;
+        const row = document.createElement('div');
+        row.className = index === history.current ? 'ember-version ember-version-current' : 'ember-version';
+        row.innerHTML = `
+            <span class="ember-version-name">${name}</span>
+            <span class="ember-version-time">${escapeHtml(new Date(version.time).toLocaleString())}</span>
+            <span class="ember-version-error">${version.error ? `fixes: ${escapeHtml(version.error)}` : ''}</span>
+            ${index === history.current
+                ? '<span class="ember-version-tag">current</span>'
+                : `<button class="menu_button" data-version-index="${index}">Restore</button>`}`;
+        list.appendChild(row);
+    });
+    list.emberVersions = { messageId, blockKey };
+    anchor.after(list);
+}
+
+function restoreBlockVersion(messageId, blockKey, index) {
+    const history = getEmberMessageData(messageId)?.versions?.[blockKey];
+    const version = history?.versions[index];
+    if (!version) throw new Error(`Version ${index} of ${blockKey} not found.`);
+    replaceBlockInMessage(messageId, blockKey, history.versions[history.current].code, version.code);
+    history.current = index;
+    saveChatDebounced();
+}
+
+function replaceBlockInMessage(messageId, blockKey, currentCode, newCode) {
+    if (blockKey === 'html' || blockKey?.startsWith('script-')) {
+        replaceVerbatimInMessage(messageId, currentCode, newCode);
+    } else {
+        replaceCodeBlockInMessage(messageId, currentCode, newCode);
+    }
+}
+
+// Swaps one code block in the message text and re-renders the message
+function replaceCodeBlockInMessage(messageId, currentCode, newCode) {
+    const core = getContext(); const msg = core.chat[messageId];
+    if (!msg) throw new Error(`Message ${messageId} not found in chat context.`);
+    // A reply cut off by the length limit can end without the closing fence
+    const originalMarkdownBlockMatch = msg.mes.match(new RegExp(`(\`\`\`([\\w+-]*)\\s*${escapeRegExp(currentCode.trim())}\\s*(?:\`\`\`|$))`, 's'));
+    if (!originalMarkdownBlockMatch) throw new Error("Could not find the original code block markdown in message text.");
+    const correctedMarkdown = `\`\`\`${originalMarkdownBlockMatch[2] || 'javascript'}\n${newCode}\n\`\`\``;
+
+    // Frontmatter is inside the fence, so only the fenced block itself is replaced; `---` rules around it are prose
+    const start = originalMarkdownBlockMatch.index;
+    const end = start + originalMarkdownBlockMatch[0].length;
+    msg.mes = msg.mes.slice(0, start) + correctedMarkdown + msg.mes.slice(end);
+    rerenderMessage(messageId);
+}
+
+// Rendered HTML is the whole message or the inside of its html block, and a script is the inside of its tag,
+// so both appear verbatim in the text
+function replaceVerbatimInMessage(messageId, currentText, newText) {
+    const msg = getContext().chat[messageId];
+    if (!msg) throw new Error(`Message ${messageId} not found in chat context.`);
+    const index = msg.mes.indexOf(currentText);
+    if (index === -1) throw new Error('Could not find the current version of this block in the message text.');
+    msg.mes = msg.mes.slice(0, index) + newText + msg.mes.slice(index + currentText.length);
+    rerenderMessage(messageId);
+}
+
+function rerenderMessage(messageId) {
+    const core = getContext(); const msg = core.chat[messageId];
+    const msgEl = document.querySelector(`.mes[mesid="${messageId}"] .mes_text`);
+    if (msgEl) {
+        cleanupEmberElements(messageId);
+        msgEl.innerHTML = messageFormatting(msg.mes, msg.is_user ? core.name2 : msg.name, msg.is_system, msg.is_user, Number(messageId));
+        addCopyToCodeBlocks(msgEl);
+        handleMessageRender(Number(messageId), msg.is_user);
+        eventSource.emit(event_types.MESSAGE_EDITED, Number(messageId));
+    } else {
+        console.error(`[Ember Self-Heal] Could not find message text element for message ${messageId} after editing.`);
+        alert('Ember: Message content updated in chat, but DOM element not found to re-render.');
+    }
+}
+
 function escapeRegExp(string) {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
+function escapeHtml(string) {
+    return String(string)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // Unicode-safe hash function for deduplication
 function simpleHash(str) {
     let hash = 0;
@@ -555,6 +1022,96 @@ function simpleHash(str) {
 }
 
 
+// Built-in libraries live under lib/, path-based custom libraries anywhere in the extension folder
+function getLibraryUrl(libDef) {
+    const relativePath = libDef.path || `lib/${libDef.file}`;
+    return `${location.origin}/scripts/extensions/third-party/${MODULE_NAME}/${relativePath}`;
+}
+
+function getAllLibraries() {
+    return [...BUILT_IN_LIBRARIES, ...(emberSettings.customLibraries || [])];
+}
+
+// Libraries referenced by their global name (e.g. `THREE`, `Chart`) in blocks without a `libs:` key
+function inferLibraryAliases(code) {
+    return getAllLibraries()
+        .filter(libDef => libDef.global && new RegExp(`\\b${escapeRegExp(libDef.global)}\\b`).test(code))
+        .map(libDef => libDef.alias);
+}
+
+// Libraries imported by their alias, statically in module code (`import * as THREE from 'three'`) or with `import('three')`
+function findImportedLibraryAliases(code) {
+    const specifiers = [...code.matchAll(/\bimport\s*(?:[\w$*{}\s,]+\s*from\s*)?\(?\s*['"]([^'"]+)['"]/g)].map(match => match[1]);
+    return getAllLibraries()
+        .filter(libDef => specifiers.includes(libDef.alias) || (libDef.specifier && specifiers.includes(libDef.specifier)))
+        .map(libDef => libDef.alias);
+}
+
+// Resolves aliases with the libraries they require placed before them
+function resolveLibrariesWithRequirements(aliases) {
+    const libraries = getAllLibraries();
+    const ordered = aliases.flatMap(alias => [...(libraries.find(libDef => libDef.alias === alias)?.requires || []), alias]);
+    return resolveLibraryAliases([...new Set(ordered)], libraries);
+}
+
+/**
+ * Strips the frontmatter from a code block and resolves the libraries it asks for, including the ones
+ * imported by alias. Throws with a readable message on malformed frontmatter or unknown aliases.
+ */
+function prepareEmberCode(code) {
+    const frontmatter = parseFrontmatter(code);
+    const aliases = frontmatter.data.libs !== undefined
+        ? normalizeLibraryAliases(frontmatter.data.libs)
+        : inferLibraryAliases(frontmatter.body);
+    const imported = findImportedLibraryAliases(frontmatter.body);
+    return { ...frontmatter, libraries: resolveLibrariesWithRequirements([...aliases, ...imported]) };
+}
+
+/**
+ * Compiles a TypeScript/JSX block prepared by prepareEmberCode to JavaScript, adding the JSX runtime libraries.
+ * Throws with `location` ({line, column} in the block) when the code does not compile.
+ */
+async function transpilePreparedCode(preparedCode, language) {
+    let body;
+    try {
+        body = await transpileWidgetCode(preparedCode.body, language);
+    } catch (error) {
+        const transpileError = new Error(`Transpile Error (${language}): ${error.message}`);
+        if (error.loc) transpileError.location = { line: error.loc.line + preparedCode.lineOffset, column: error.loc.column };
+        throw transpileError;
+    }
+    const aliases = preparedCode.libraries.map(libDef => libDef.alias);
+    return {
+        ...preparedCode,
+        body,
+        language,
+        libraries: resolveLibrariesWithRequirements(usesJsx(language) ? [...JSX_RUNTIME_LIBRARIES, ...aliases] : aliases),
+    };
+}
+
+// Script sources for the requested libraries: shared object URLs in legacy frames.
+// Opaque-origin frames cannot read the host's blob: URLs, so they load bundled files directly (HTTP-cached)
+// and get uploaded libraries inlined; inlining every library would make each frame document megabytes long.
+// `alias` and `global` let module code import the library by its alias.
+async function resolveLibrarySources(libraries, isolationMode) {
+    return Promise.all(libraries.map(async (libDef) => {
+        const names = { alias: libDef.alias, global: libDef.global, specifier: libDef.specifier };
+        if (isolationMode === 'strict') {
+            return { ...names, ...(libDef.stored ? { code: await getCustomLibraryCode(libDef.alias) } : { src: getLibraryUrl(libDef) }) };
+        }
+        return { ...names, src: libDef.stored ? await getCustomLibraryUrl(libDef.alias) : await getCachedLibraryUrl(getLibraryUrl(libDef)) };
+    }));
+}
+
+// Kind of a code block for grouping: markup (html without scripts), styles, or a script by its language class
+function classifyCodeBlock(codeBlock) {
+    const className = codeBlock.className || '';
+    if (/\blang(?:uage)?-css\b/.test(className)) return 'css';
+    if (/\blang(?:uage)?-(?:html|xml)\b/.test(className)) return /<script\b/i.test(codeBlock.innerText) ? 'other' : 'html';
+    if (/\blang(?:uage)?-(?:javascript|js|mjs|jsx|ts|tsx|typescript)\b/.test(className)) return 'script';
+    return 'other';
+}
+
 // WeatherPack-inspired comprehensive JavaScript detection function
 function detectJavaScriptContent(className, codeContent) {
     console.log(`[Ember Debug] Analyzing content for JavaScript patterns...`);
@@ -646,7 +1203,7 @@ async function processScriptTagsInHTML(messageId, htmlContent, messageTextElemen
     
     let processedAnyScripts = false;
     
-    for (const script of scripts) {
+    for (const [scriptIndex, script] of Array.from(scripts).entries()) {
         const scriptContent = script.innerHTML.trim();
         const scriptSrc = script.getAttribute('src');
         
@@ -678,84 +1235,344 @@ async function processScriptTagsInHTML(messageId, htmlContent, messageTextElemen
         // Mark this script as processed
         processedScriptHashes.add(scriptHash);
         
-        // Validate JavaScript syntax before execution
+        let preparedCode = null;
+        let prepareError = null;
         try {
-            new Function(scriptContent);
-            console.log(`[Ember Debug] Script syntax validation passed`);
-        } catch (syntaxError) {
-            console.error(`[Ember Debug] Script syntax error:`, syntaxError);
-            console.log(`[Ember Debug] Problematic script content:`, scriptContent);
-            continue;
+            preparedCode = prepareEmberCode(scriptContent);
+        } catch (error) {
+            prepareError = error;
+        }
+
+        // Validate JavaScript syntax before execution
+        if (preparedCode) {
+            try {
+                parseWidgetCode(preparedCode.body);
+                console.log(`[Ember Debug] Script syntax validation passed`);
+            } catch (syntaxError) {
+                console.error(`[Ember Debug] Script syntax error:`, syntaxError);
+                console.log(`[Ember Debug] Problematic script content:`, scriptContent);
+                const source = { text: scriptContent, lineOffset: preparedCode.lineOffset, lineMap: null, label: 'script' };
+                const { badge, summary, location } = showSyntaxError(syntaxError, preparedCode.body, source, badge => messageTextElement.appendChild(badge));
+                badge.insertAdjacentHTML('beforeend', '<div class="menu_button" data-syntax-action="heal"><i class="fa-solid fa-bolt"></i> Heal</div>');
+                const target = { code: scriptContent, blockKey: `script-${scriptIndex}`, anchor: badge };
+                badge.emberHeal = { messageId, target, summary, location };
+                requestAutomaticHeal(messageId, target, summary, location);
+                continue;
+            }
         }
         
-        // Create iframe execution environment for this script
-        const frameId = `ember-frame-${messageId}-script-${Date.now()}`;
-        console.log(`[Ember Debug] Creating iframe for script tag execution`);
-        
-        // Load all libraries by default
-        const requestedLibs = ['d3', 'three', 'p5', 'anime', 'chartjs', 'matter'];
-        
-        try {
-            console.log(`[Ember Debug] Loading libraries for script execution: ${requestedLibs.join(', ')}`);
-            
-            const libMap = requestedLibs.map(alias => BUILT_IN_LIBRARIES.find(lib=>lib.alias===alias)).filter(Boolean);
-            const libUrls = libMap.map(libDef=>`${location.origin}/scripts/extensions/third-party/${MODULE_NAME}/lib/${libDef.file}`);
-            
-            const libCodes = await Promise.all(libUrls.map(async (url) => {
-                try {
-                    const res = await fetch(url);
-                    if (!res.ok) throw new Error(`HTTP ${res.status}: ${res.statusText}`);
-                    return await res.text();
-                } catch (err) {
-                    console.error(`[Ember Debug] Failed to fetch ${url}:`, err);
-                    throw new Error(`Failed to fetch library ${url}: ${err.message}`);
-                }
-            }));
-            
-            // Create loading and final containers
-            const loadingContainer = document.createElement('div');
-            loadingContainer.className = 'ember-loading-container';
-            loadingContainer.innerHTML = `<i class="fa-solid fa-spinner fa-spin"></i> <span>Ember JS preparing script...</span>`;
-            loadingContainer.dataset.frameId = frameId;
-            
-            const finalContainer = document.createElement('div');
-            finalContainer.className = 'ember-container';
-            finalContainer.style.display = 'none';
-            finalContainer.dataset.frameId = frameId;
-            
-            // Insert containers into the message
-            messageTextElement.appendChild(loadingContainer);
-            messageTextElement.appendChild(finalContainer);
-            
-            console.log(`[Ember Debug] Creating sandboxed iframe for script execution`);
-            const iframe = createSandboxedFrame(scriptContent, libCodes, frameId);
-            finalContainer.appendChild(iframe);
-            
+        const mountWidget = () => {
+            const { finalContainer } = createWidgetContainers(messageId, `script-${scriptIndex}`, 'script', containers => messageTextElement.append(...containers));
+            Object.assign(finalContainer.emberWidget, {
+                preparedCode,
+                prepareError,
+                source: { text: scriptContent, lineOffset: preparedCode?.lineOffset || 0, lineMap: null, label: 'script' },
+            });
+            return scheduleWidget(finalContainer);
+        };
+
+        const trustKey = await getCodeTrustKey(scriptContent);
+        const preflight = preparedCode ? runPreflight(preparedCode) : { blocked: [], warnings: [] };
+        if (preflight.blocked.length) {
+            showPreflightBlocked(preflight.blocked, notice => messageTextElement.appendChild(notice));
+            processedAnyScripts = true;
+        } else if (isCodeTrusted(trustKey, preflight.warnings)) {
+            if (await mountWidget()) processedAnyScripts = true;
+        } else {
+            console.log(`[Ember Consent] Waiting for consent to run script ${scriptIndex} of message ${messageId}`);
+            showConsentPrompt(scriptContent, trustKey, prompt => messageTextElement.appendChild(prompt), mountWidget, preflight.warnings);
             processedAnyScripts = true;
-            console.log(`[Ember Debug] Successfully set up script execution for ${scriptContent.length} chars of code`);
-            
-        } catch (error) {
-            console.error('[Ember JS] Critical error creating sandbox for script tag:', error);
-            // Create error display
-            const errorContainer = document.createElement('div');
-            errorContainer.className = 'ember-loading-container';
-            errorContainer.innerHTML = `<i class="fa-solid fa-triangle-exclamation"></i> <span><b>Ember JS Error:</b> Could not create sandbox for script. Check console.</span>`;
-            errorContainer.style.color = 'var(--text-color-error)';
-            messageTextElement.appendChild(errorContainer);
         }
     }
     
     return processedAnyScripts;
 }
 
-function createSandboxedFrame(code, libraryCodes = [], frameId) {
+// Ember's per-message data lives in chat[id].extra.ember so it is saved with the chat file
+function getEmberMessageData(messageId, create = false) {
+    const msg = getContext().chat[messageId];
+    if (!msg) return null;
+    if (!msg.extra?.ember && !create) return msg.extra?.ember || null;
+    msg.extra = msg.extra || {};
+    msg.extra.ember = msg.extra.ember || {};
+    return msg.extra.ember;
+}
+
+function getWidgetState(messageId, blockKey) {
+    return getEmberMessageData(messageId)?.state?.[blockKey] || {};
+}
+
+function saveWidgetState(messageId, blockKey, state) {
+    const serialized = JSON.stringify(state ?? {});
+    if (serialized.length > MAX_WIDGET_STATE_CHARS) {
+        throw new Error(`Widget state is ${serialized.length} characters; the limit is ${MAX_WIDGET_STATE_CHARS}.`);
+    }
+    const emberData = getEmberMessageData(messageId, true);
+    if (!emberData) throw new Error(`Message ${messageId} not found in chat context.`);
+    emberData.state = emberData.state || {};
+    if (serialized === '{}') {
+        delete emberData.state[blockKey];
+    } else {
+        emberData.state[blockKey] = JSON.parse(serialized);
+    }
+    saveChatDebounced();
+}
+
+// Identifies the active character (or group) for character-scoped features
+function getCharacterKey() {
+    const context = getContext();
+    if (context.groupId) return `group:${context.groupId}`;
+    const character = context.characters?.[context.characterId];
+    return character?.avatar ? `char:${character.avatar}` : null;
+}
+
+function getChatKey() {
+    const context = getContext();
+    const chatId = context.getCurrentChatId?.() ?? context.chatId;
+    return chatId ? `chat:${chatId}` : null;
+}
+
+// Chat override beats character override beats the global default
+function getIsolationMode() {
+    const overrides = emberSettings.isolationOverrides || {};
+    const chatKey = getChatKey();
+    const characterKey = getCharacterKey();
+    return (chatKey && overrides[chatKey]) || (characterKey && overrides[characterKey]) || emberSettings.isolationMode;
+}
+
+// Scripts run without asking when consent is off or their character, chat or exact code is trusted
+async function getCodeTrustKey(code) {
+    const text = code.trim();
+    if (globalThis.crypto?.subtle) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return `hash:${Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('')}`;
+    }
+    // crypto.subtle is missing outside secure contexts (plain http on a LAN address)
+    return `hash:${text.length}-${simpleHash(text)}`;
+}
+
+// Preflight warnings can only be waved through for the exact code, never for a whole character or chat
+function isCodeTrusted(trustKey, warnings = []) {
+    const trusted = emberSettings.trustedSources || {};
+    if (sessionApprovedCode.has(trustKey) || trusted[trustKey]) return true;
+    if (warnings.length) return false;
+    if (!emberSettings.requireConsent) return true;
+    const characterKey = getCharacterKey();
+    const chatKey = getChatKey();
+    return !!(characterKey && trusted[characterKey]) || !!(chatKey && trusted[chatKey]);
+}
+
+function getPreflightAction(rule) {
+    return emberSettings.preflightActions?.[rule] || PREFLIGHT_DEFAULT_ACTIONS[rule] || 'warn';
+}
+
+// Splits analyzer findings by the action configured for their rule; 'allow' findings are dropped
+function runPreflight(preparedCode) {
+    const { policy, allowlist } = getNetworkPolicy();
+    const { findings } = analyzeWidgetCode(preparedCode.body, { networkPolicy: policy, allowlist, lineOffset: preparedCode.lineOffset });
+    if (findings.length) console.log(`[Ember Preflight] ${findings.length} finding(s):\n${formatFindings(findings)}`);
+    return {
+        blocked: findings.filter(finding => getPreflightAction(finding.rule) === 'block'),
+        warnings: findings.filter(finding => getPreflightAction(finding.rule) === 'warn'),
+    };
+}
+
+function renderFindingsList(findings) {
+    const list = document.createElement('ul');
+    list.className = 'ember-preflight-findings';
+    for (const finding of findings) {
+        const item = document.createElement('li');
+        item.textContent = `Line ${finding.line}: ${finding.message}`;
+        item.title = PREFLIGHT_RULES[finding.rule] || finding.rule;
+        list.appendChild(item);
+    }
+    return list;
+}
+
+// Code that does not parse never gets a frame; the parser error is shown with its location instead.
+// Code that ends mid-statement is reported as cut off, which is what a reply length limit leaves behind.
+function showSyntaxError(syntaxError, code, source, placeBadge) {
+    const { message, line, column, truncated } = describeSyntaxError(syntaxError, code);
+    const location = mapGeneratedPosition({ start: 1, lineOffset: source.lineOffset, lineMap: source.lineMap }, line, column);
+    const summary = `SyntaxError: ${message}`
+        + (location ? ` (line ${location.line}, column ${location.column} of the ${source.label})` : '')
+        + (truncated ? '. The code ends before it is complete, probably cut off by the reply length limit.' : '');
+    const badge = document.createElement('div');
+    badge.className = 'ember-loading-container ember-syntax-error';
+    badge.style.color = 'var(--text-color-error)';
+    badge.innerHTML = `<i class="fa-solid fa-triangle-exclamation"></i> <span><b>Ember Syntax Error:</b> ${escapeHtml(summary)}</span>`;
+    placeBadge(badge);
+    if (location) badge.insertAdjacentElement('afterend', buildSourceView(source.text, location.line, location.column));
+    return { badge, summary, location };
+}
+
+// Replaces a widget that preflight refused to run with an error the heal button can pick up
+function showPreflightBlocked(blocked, placeNotice) {
+    const notice = document.createElement('div');
+    notice.className = 'ember-loading-container ember-preflight-blocked';
+    notice.style.color = 'var(--text-color-error)';
+    notice.innerHTML = `<i class="fa-solid fa-ban"></i> <span><b>Ember JS Error:</b> Blocked by preflight checks. Change the rules in the Ember settings or heal the code.</span>`;
+    notice.appendChild(renderFindingsList(blocked));
+    placeNotice(notice);
+    return notice;
+}
+
+function trustSource(trustKey, label) {
+    emberSettings.trustedSources = { ...(emberSettings.trustedSources || {}), [trustKey]: label };
+    saveSettings();
+    renderTrustedSourcesList();
+    console.log(`[Ember Consent] Trusted ${trustKey}`);
+}
+
+// Shows a "Run this widget?" placeholder in place of a script; onApprove mounts the widget
+function showConsentPrompt(code, trustKey, placePrompt, onApprove, warnings = []) {
+    const lines = code.trim().split('\n');
+    const preview = lines.slice(0, CONSENT_PREVIEW_LINES).join('\n') + (lines.length > CONSENT_PREVIEW_LINES ? `\n… (${lines.length - CONSENT_PREVIEW_LINES} more lines)` : '');
+    const characterKey = getCharacterKey();
+    const characterName = characterKey ? describeScopeKey(characterKey).replace(/^\w+: /, '') : '';
+    const chatKey = getChatKey();
+
+    const prompt = document.createElement('div');
+    prompt.className = 'ember-consent';
+    prompt.innerHTML = `
+        <div class="ember-consent-header"><i class="fa-solid fa-shield-halved"></i> <b>Run this widget?</b>
+            <small>${warnings.length ? 'Preflight checks found risky patterns in this script.' : 'This message contains a script from a source you have not trusted yet.'}</small></div>
+        <pre class="ember-consent-preview"></pre>
+        <div class="ember-consent-actions">
+            <div class="menu_button interactable" data-trust="session" title="Run now; ask again after a reload">${warnings.length ? 'Run anyway' : 'Run'}</div>
+            <div class="menu_button interactable" data-trust="hash" title="Run this exact code without asking">Always allow this code</div>
+            ${characterKey && !warnings.length ? `<div class="menu_button interactable" data-trust="character" title="Run every script from this character without asking">Always allow ${escapeHtml(characterName)}</div>` : ''}
+            ${chatKey && !warnings.length ? `<div class="menu_button interactable" data-trust="chat" title="Run every script in this chat without asking">Always allow this chat</div>` : ''}
+        </div>`;
+    prompt.querySelector('.ember-consent-preview').textContent = preview;
+    if (warnings.length) prompt.querySelector('.ember-consent-header').after(renderFindingsList(warnings));
+    prompt.querySelector('.ember-consent-actions').addEventListener('click', (event) => {
+        const choice = event.target.closest('[data-trust]')?.dataset.trust;
+        if (!choice) return;
+        event.stopPropagation();
+        if (choice === 'session') sessionApprovedCode.add(trustKey);
+        if (choice === 'hash') trustSource(trustKey, (lines.find(line => line.trim() && line.trim() !== '---') || '').trim().slice(0, 80));
+        if (choice === 'character') trustSource(characterKey, characterName);
+        if (choice === 'chat') trustSource(chatKey, chatKey.slice('chat:'.length));
+        runTrustedConsents();
+    });
+    pendingConsents.set(prompt, { trustKey, onApprove, warnings });
+    placePrompt(prompt);
+    return prompt;
+}
+
+// Starts every waiting widget that the latest decision covers, e.g. all blocks of a newly trusted character
+function runTrustedConsents() {
+    for (const [prompt, { trustKey, onApprove, warnings }] of pendingConsents) {
+        if (!prompt.isConnected) {
+            pendingConsents.delete(prompt);
+        } else if (isCodeTrusted(trustKey, warnings)) {
+            pendingConsents.delete(prompt);
+            prompt.remove();
+            onApprove();
+        }
+    }
+}
+
+function getSandboxAttribute(isolationMode) {
+    return isolationMode === 'strict' ? 'allow-scripts' : 'allow-scripts allow-same-origin';
+}
+
+function describeScopeKey(scopeKey) {
+    if (scopeKey === 'global') return 'Global (all characters)';
+    const context = getContext();
+    const [kind, id] = [scopeKey.slice(0, scopeKey.indexOf(':')), scopeKey.slice(scopeKey.indexOf(':') + 1)];
+    if (kind === 'char') return `Character: ${context.characters?.find(c => c.avatar === id)?.name || id}`;
+    if (kind === 'group') return `Group: ${context.groups?.find(g => g.id === id)?.name || id}`;
+    return scopeKey;
+}
+
+async function handleWidgetStorageRequest(request) {
+    const { op, key, value, scope } = request;
+    const scopeKey = scope === 'global' ? 'global' : getCharacterKey();
+    if (!scopeKey) throw new Error('ember.storage needs an active character; use { scope: "global" } instead');
+    const quotaChars = Math.max(1, Number(emberSettings.widgetStorageQuotaKb) || 0) * 1024;
+    return runStorageOperation(scopeKey, op, key, value, quotaChars);
+}
+
+function getNetworkPolicy() {
+    return { policy: emberSettings.networkPolicy, allowlist: normalizeAllowlist(emberSettings.networkAllowlist) };
+}
+
+// Bridge and network guard for generic HTML frames; strict-mode frames also report their height,
+// which the host cannot measure across origins
+function buildHtmlFrameScript(frameId, reportHeight) {
+    const { policy, allowlist } = getNetworkPolicy();
+    return `<script>(()=>{${buildBridgeScript(frameId)}
+        ${emberSettings.widgetConsoleEnabled ? buildConsoleCaptureScript() : ''}
+        ${emberSettings.watchdogEnabled ? buildHeartbeatScript() : ''}
+        ${buildNetworkGuardScript(policy, allowlist)}
+        let reportedErrors = 0;
+        const reportError = (message, line) => {
+            if (reportedErrors++ < 20) bridge.send({ type: "ember-html-error", message: String(message).slice(0, 500), line: line || null });
+        };
+        window.addEventListener("error", ev => {
+            const target = ev.target;
+            if (target && target !== window && target.tagName) {
+                reportError("Could not load <" + target.tagName.toLowerCase() + "> " + (target.currentSrc || target.src || target.href || ""));
+            } else {
+                reportError(ev.error ? ev.error.name + ": " + ev.error.message : ev.message, ev.lineno);
+            }
+        }, true);
+        window.addEventListener("unhandledrejection", ev => reportError("Unhandled promise rejection: " + (ev.reason && ev.reason.message || ev.reason)));
+        ${reportHeight ? `const report=()=>{const h=Math.ceil(document.documentElement.scrollHeight); if(h>0) bridge.send({type:"ember-resize",height:h});};
+        new ResizeObserver(report).observe(document.documentElement);
+        window.addEventListener("load", report);` : ''}
+    })();<\/script>`;
+}
+
+// In-frame half of the host bridge. Defines `bridge` with send(msg) and listen(fn); the frame gets a
+// dedicated MessagePort after the hello handshake and messages queue until then.
+function buildBridgeScript(frameId) {
+    return `
+        const bridge=(()=>{
+            let port=null;
+            const queue=[];
+            const listeners=[];
+            window.addEventListener("message", ev => {
+                if (port || ev.source !== window.parent || !ev.data || ev.data.type !== "ember-bridge-init" || !ev.ports[0]) return;
+                port = ev.ports[0];
+                port.onmessage = msg => listeners.forEach(listener => listener(msg.data));
+                queue.splice(0).forEach(msg => port.postMessage(msg));
+            });
+            window.parent.postMessage({ type: "ember-bridge-hello", frameId: "${frameId}" }, "*");
+            return {
+                send: msg => port ? port.postMessage(msg) : queue.push(msg),
+                listen: listener => listeners.push(listener)
+            };
+        })();`;
+}
+
+/**
+ * Builds the sandbox iframe for a block and registers it for the host bridge.
+ * `options.messageId` and `options.blockKey` identify the block for state and bridge lookups;
+ * `options.isolation` is 'strict' (opaque origin, bridge only) or 'legacy' (same origin).
+ */
+function createSandboxedFrame(code, librarySources = [], frameId, options = {}) {
+    const initialState = getWidgetState(options.messageId, options.blockKey);
+    const isolationMode = options.isolation || getIsolationMode();
     const iframe = document.createElement('iframe');
+    // source: { text, lineOffset, lineMap, label, element } describes where the code came from, for error locations
+    const source = options.source ? { ...options.source, start: null } : null;
+    // lifecycle: { explicit, timeout } - whether the code signals ember.ready() itself, and seconds to wait for it
+    // module: run the code as an ES module (import/export); otherwise it is the body of an async function
+    // markup: { html, css } from html/css blocks combined with the script; the html goes into #root
+    const markup = options.markup || { html: '', css: '' };
+    const lifecycle = { explicit: false, timeout: DEFAULT_READY_TIMEOUT_SECONDS, ...options.lifecycle };
+    emberFrames.set(frameId, { messageId: Number(options.messageId), blockKey: options.blockKey, kind: 'js', iframe, port: null, source, monitor: createFrameMonitor() });
     iframe.className = 'ember-iframe';
-    iframe.sandbox = 'allow-scripts allow-same-origin';
+    iframe.sandbox = getSandboxAttribute(isolationMode);
+    iframe.dataset.isolation = isolationMode;
     iframe.dataset.frameId = frameId;
     iframe.style.cssText = 'width: 100%; border: none; display: block; overflow: hidden; max-height: 600px; min-height: 200px;';
-    const safeCodeString = JSON.stringify(code);
-    const iframeContent = `<html><head><style>
+    const safeCodeString = JSON.stringify(code).replace(/</g, '\\u003c');
+    const { policy, allowlist } = getNetworkPolicy();
+    const iframeContent = `<html><head>${buildCspMetaTag(policy, allowlist, [location.origin])}<style>
         html, body { 
             font-family: var(--mainFontFamily, sans-serif); 
             color: var(--text-color, #000); 
@@ -778,10 +1595,43 @@ function createSandboxedFrame(code, libraryCodes = [], frameId) {
             max-width: 100%;
             box-sizing: border-box;
         }
-    </style></head><body><div id="root"></div><script>(()=>{
+        html.ember-fullscreen, html.ember-fullscreen body, html.ember-fullscreen #root {
+            max-height: none;
+            height: 100%;
+        }
+    </style>${markup.css ? `<style>${markup.css.replace(/<\/style/gi, '<\\/style')}</style>` : ''}</head><body><div id="root">${markup.html}</div><script>(()=>{
         const e="${frameId}";
-        const t=o=>window.parent.postMessage({type:"ember-error",frameId:e,message:o},"*");
-        const n=()=>window.parent.postMessage({type:"ember-success",frameId:e},"*");
+        ${buildBridgeScript(frameId)}
+        ${emberSettings.widgetConsoleEnabled ? buildConsoleCaptureScript() : ''}
+        ${emberSettings.watchdogEnabled ? buildHeartbeatScript() : ''}
+        ${buildNetworkGuardScript(policy, allowlist)}
+        bridge.listen(d => { if (d && d.type === "ember-fullscreen") document.documentElement.classList.toggle("ember-fullscreen", !!d.active); });
+        const t=o=>bridge.send({type:"ember-error",message:o});
+        const n=()=>bridge.send({type:"ember-success"});
+
+        // Lifecycle: the widget is shown on ready(); code that never calls ember.ready() is ready once it has run
+        const lifecycle = ${JSON.stringify(lifecycle)};
+        // A timeout is reported but not final: a widget that becomes ready later is still shown
+        let settled = false;
+        let timedOut = false;
+        let readyTimer = null;
+        const ready = () => { if (settled && !timedOut) return; settled = true; timedOut = false; clearTimeout(readyTimer); setTimeout(n, 50); };
+        const fail = reason => {
+            settled = true;
+            timedOut = false;
+            clearTimeout(readyTimer);
+            t("Ember Widget Error: " + (reason instanceof Error ? reason.message : String(reason ?? "widget reported a failure")));
+        };
+
+        // Widget code runs after the document has loaded, so late DOMContentLoaded/load listeners are called right away
+        for (const target of [document, window]) {
+            const originalAddEventListener = target.addEventListener;
+            target.addEventListener = function(type, listener, listenerOptions) {
+                originalAddEventListener.call(this, type, listener, listenerOptions);
+                const missed = target === document ? type === "DOMContentLoaded" && document.readyState !== "loading" : type === "load" && document.readyState === "complete";
+                if (missed && listener) setTimeout(() => typeof listener === "function" ? listener.call(target, new Event(type)) : listener.handleEvent(new Event(type)));
+            };
+        }
 
         // Smart DOM redirection - intercept common DOM operations and redirect to root
         const rootElement = document.getElementById("root");
@@ -884,37 +1734,91 @@ function createSandboxedFrame(code, libraryCodes = [], frameId) {
                     content: options.content,
                     ephemeral: typeof options.ephemeral === 'boolean' ? options.ephemeral : false
                 };
-                window.parent.postMessage({ type: "ember-inject-js", frameId: e, injection: injectionData }, "*");
+                bridge.send({ type: "ember-inject-js", injection: injectionData });
+            },
+            // Persistent per-widget state, saved with the chat message by the host
+            state: (()=>{
+                let widgetState = ${JSON.stringify(initialState).replace(/</g, '\\u003c')};
+                const clone = v => v === undefined ? undefined : JSON.parse(JSON.stringify(v));
+                const save = () => bridge.send({ type: "ember-state-set", state: widgetState });
+                return {
+                    get(key) { return key === undefined ? clone(widgetState) : clone(widgetState[key]); },
+                    set(key, value) {
+                        if (key !== null && typeof key === 'object') { widgetState = { ...widgetState, ...clone(key) }; }
+                        else if (value === undefined) { delete widgetState[key]; }
+                        else { widgetState[key] = clone(value); }
+                        save();
+                    },
+                    remove(key) { delete widgetState[key]; save(); },
+                    clear() { widgetState = {}; save(); }
+                };
+            })(),
+            // Async key/value storage shared by all widgets of the character ({ scope: 'global' } for all characters)
+            storage: (()=>{
+                const pending = new Map();
+                let nextRequestId = 0;
+                bridge.listen(d => {
+                    if (!d || d.type !== "ember-storage-result" || !pending.has(d.requestId)) return;
+                    const { resolve, reject } = pending.get(d.requestId);
+                    pending.delete(d.requestId);
+                    d.error ? reject(new Error(d.error)) : resolve(d.result);
+                });
+                const request = (op, key, value, opts) => new Promise((resolve, reject) => {
+                    const requestId = ++nextRequestId;
+                    pending.set(requestId, { resolve, reject });
+                    const scope = opts && opts.scope === "global" ? "global" : "character";
+                    bridge.send({ type: "ember-storage", requestId, op, key, value, scope });
+                });
+                return {
+                    get: (key, opts) => request("get", key, undefined, opts),
+                    set: (key, value, opts) => request("set", key, value, opts),
+                    remove: (key, opts) => request("remove", key, undefined, opts),
+                    keys: (opts) => request("keys", undefined, undefined, opts),
+                    clear: (opts) => request("clear", undefined, undefined, opts)
+                };
+            })(),
+            ready: () => ready(),
+            fail: reason => fail(reason),
+            progress: (percent, label) => {
+                if (settled) return;
+                bridge.send({ type: "ember-progress", percent: Number(percent), label: label == null ? "" : String(label) });
             }
         };
 
-        let o=!1;
-        const s=()=>{if(o)return;o=!0,clearTimeout(d),i&&i.disconnect(), setTimeout(n, 50);};
-        const d=setTimeout(()=>{o||t("Ember Warning: Script produced no visual output within 7 seconds.")},7000);
-        const i=new MutationObserver(()=>{ if(document.getElementById("root")?.hasChildNodes()){ s(); } });
-        const rootElementForObserver = document.getElementById("root");
-        if(rootElementForObserver) {
-             i.observe(rootElementForObserver,{childList:!0,subtree:!0});
-             if (rootElementForObserver.hasChildNodes()) { s(); }
-        } else {
-            t("Ember Internal Error: #root element not found in iframe for MutationObserver.");
-        }
-
         new ResizeObserver(()=>{
             const o=Math.ceil(document.documentElement.scrollHeight);
-            if(o>0) window.parent.postMessage({type:"ember-resize",frameId:e,height:o},"*");
+            if(o>0) bridge.send({type:"ember-resize",height:o});
         }).observe(document.documentElement);
 
-        try{
+        const runAsModule = ${JSON.stringify(!!options.module)};
+        let moduleUrl = null;
+        const reportExecutionError = err => {
+            settled = true;
+            timedOut = false;
+            clearTimeout(readyTimer);
+            console.error("[Ember Iframe] Execution error:", err);
+            const details = String(err.stack||err.message);
+            t((err.message||"").startsWith("Ember Internal Error:") ? err.message : "Ember Execution Error: "+(moduleUrl ? details.split(moduleUrl).join("${WIDGET_SOURCE_URL}") : details));
+        };
+        (async()=>{try{
             console.log("[Ember Iframe] Starting execution...");
             
-            // Load all libraries automatically
-            const libraryScripts = ${JSON.stringify(libraryCodes)};
-            console.log("[Ember Iframe] Loading", libraryScripts.length, "libraries...");
-            for(const scriptContent of libraryScripts){
+            // Load the requested libraries in order, from the host's shared cache or inline source
+            const librarySources = ${JSON.stringify(librarySources).replace(/</g, '\\u003c')};
+            console.log("[Ember Iframe] Loading", librarySources.length, "libraries...");
+            for(const library of librarySources){
                 const scriptEl = document.createElement("script");
-                scriptEl.textContent = scriptContent;
-                document.head.appendChild(scriptEl);
+                if (library.code !== undefined) {
+                    scriptEl.textContent = library.code;
+                    document.head.appendChild(scriptEl);
+                    continue;
+                }
+                await new Promise((resolve, reject) => {
+                    scriptEl.src = library.src;
+                    scriptEl.onload = resolve;
+                    scriptEl.onerror = () => reject(new Error("Ember Internal Error: failed to load library " + library.src));
+                    document.head.appendChild(scriptEl);
+                });
             }
             console.log("[Ember Iframe] Libraries loaded");
             
@@ -929,28 +1833,515 @@ function createSandboxedFrame(code, libraryCodes = [], frameId) {
             if (!rootElement) { t("Ember Internal Error: #root element not found in iframe."); return; }
             console.log("[Ember Iframe] Root element found:", rootElement);
             
-            // Execute user code with root element available
+            // The sourceURL marks user code in stack traces; the probe tells the host on which line of the
+            // generated function the user code starts, which differs between browsers
+            const sourceUrlComment = "\\n//# sourceURL=${WIDGET_SOURCE_URL}";
+            const AsyncFunction = (async () => {}).constructor;
+            if (runAsModule) {
+                bridge.send({ type: "ember-source-start", line: 2 });
+            } else {
+                const probeMatch = String(await new AsyncFunction('root', 'return new Error().stack;' + sourceUrlComment)()).match(/ember-widget\\.js:(\\d+):/);
+                bridge.send({ type: "ember-source-start", line: probeMatch ? Number(probeMatch[1]) : 3 });
+            }
+
+            if (lifecycle.timeout > 0) {
+                readyTimer = setTimeout(() => {
+                    if (settled) return;
+                    settled = true;
+                    timedOut = true;
+                    t("Ember Timeout: " + (lifecycle.explicit ? "the widget did not call ember.ready()" : "the widget code did not finish") + " within " + lifecycle.timeout + " seconds. It is still shown if it finishes later; set a longer timeout in the frontmatter if it needs more time.");
+                }, lifecycle.timeout * 1000);
+            }
+
+            // Execute user code with root element available; until its Promise settles the widget counts as loading
             console.log("[Ember Iframe] Executing user code...");
-            new Function('root', userCodeToRun)(rootElement);
+            let result;
+            // Bare imports of loaded libraries resolve through an import map to modules re-exporting their globals;
+            // script-mode code uses it for dynamic import() as well
+            const toModuleUrl = text => URL.createObjectURL(new Blob([text], { type: "text/javascript" }));
+            const isIdentifier = name => { try { new Function("var " + name); return true; } catch (_) { return false; } };
+            const imports = {};
+            for (const library of librarySources) {
+                if (!library.alias || !library.global || !(library.global in window)) continue;
+                const names = Object.keys(Object(window[library.global])).filter(name => name !== "default" && /^[A-Za-z_$][\\w$]*$/.test(name) && isIdentifier(name));
+                imports[library.alias] = toModuleUrl("const lib = globalThis[" + JSON.stringify(library.global) + "];\\nexport default lib;\\n"
+                    + (names.length ? "export const { " + names.join(", ") + " } = lib;\\n" : ""));
+                if (library.specifier) imports[library.specifier] = imports[library.alias];
+            }
+            const importMap = document.createElement("script");
+            importMap.type = "importmap";
+            importMap.textContent = JSON.stringify({ imports });
+            document.head.appendChild(importMap);
+            if (runAsModule) {
+                moduleUrl = toModuleUrl("const root = document.getElementById(\\"root\\");\\n" + userCodeToRun + sourceUrlComment);
+                result = import(moduleUrl);
+            } else {
+                result = new AsyncFunction('root', userCodeToRun + sourceUrlComment)(rootElement);
+            }
+            if (lifecycle.explicit) {
+                result.catch(reportExecutionError);
+            } else {
+                await result;
+                ready();
+            }
             console.log("[Ember Iframe] User code executed successfully");
-            setTimeout(s, 1000);
         }catch(err){
-            console.error("[Ember Iframe] Execution error:", err);
-            t("Ember Execution Error: "+(err.stack||err.message));
-        }})();<\/script></body></html>`;
-    iframe.src = URL.createObjectURL(new Blob([iframeContent], { type: 'text/html' }));
+            reportExecutionError(err);
+        }})();})();<\/script></body></html>`;
+    if (isolationMode === 'strict') {
+        iframe.srcdoc = iframeContent;
+        return iframe;
+    }
+    const documentUrl = URL.createObjectURL(new Blob([iframeContent], { type: 'text/html' }));
+    iframe.addEventListener('load', () => URL.revokeObjectURL(documentUrl), { once: true });
+    iframe.src = documentUrl;
     return iframe;
 }
 
-async function processMessage(messageId, isUserMessage = false) {
-    console.log(`[Ember Debug] Processing message ${messageId}, isUser: ${isUserMessage}`);
-    const messageDomElement = document.querySelector(`.mes[mesid="${messageId}"]`);
-    if (!messageDomElement) {
-        console.log(`[Ember Debug] No DOM element found for message ${messageId}`);
-        return;
+// Loading and widget containers for one JS block. finalContainer.emberWidget describes the block, so it can be
+// stopped and started again on its own: { messageId, blockKey, kind, preparedCode, prepareError, source, parentPre, frameId }
+function createWidgetContainers(messageId, blockKey, kind, placeContainers) {
+    const loadingContainer = document.createElement('div');
+    loadingContainer.className = 'ember-loading-container';
+
+    const finalContainer = document.createElement('div');
+    finalContainer.className = 'ember-container';
+    finalContainer.style.display = 'none';
+    finalContainer.dataset.messageId = messageId;
+    finalContainer.emberWidget = { messageId: Number(messageId), blockKey, kind, loadingContainer, frameId: null };
+    finalContainer.appendChild(buildWidgetToolbar());
+
+    placeContainers([loadingContainer, finalContainer]);
+    // Pinned widgets go back to the dock before their frame starts, so nothing has to be moved while running
+    if (getEmberMessageData(messageId)?.pinned?.includes(blockKey)) pinWidget(finalContainer, false);
+    return { loadingContainer, finalContainer };
+}
+
+function buildWidgetToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'ember-widget-toolbar';
+    toolbar.innerHTML = `
+        <i class="fa-solid fa-grip-vertical" data-widget-action="drag" title="Drag to move"></i>
+        <i class="fa-solid fa-code interactable" data-widget-action="source" title="Show source"></i>
+        <i class="fa-solid fa-rotate-right interactable" data-widget-action="rerun" title="Re-run in a fresh frame"></i>
+        <i class="fa-solid fa-stop interactable" data-widget-action="stop" title="Stop and unload"></i>
+        <i class="fa-solid fa-expand interactable" data-widget-action="fullscreen" title="Fullscreen"></i>
+        <i class="fa-solid fa-copy interactable" data-widget-action="copy" title="Copy code"></i>
+        <i class="fa-solid fa-clock-rotate-left interactable" data-widget-action="history" title="Versions of this block"></i>
+        <i class="fa-solid fa-up-right-from-square interactable" data-widget-action="float" title="Pop out into a floating window"></i>
+        <i class="fa-solid fa-thumbtack interactable" data-widget-action="pin" title="Pin above the chat input"></i>
+        <i class="fa-solid fa-arrow-turn-down interactable" data-widget-action="return" title="Put back into the message"></i>`;
+    return toolbar;
+}
+
+function getWidgetDock() {
+    let dock = document.getElementById('ember-widget-dock');
+    if (!dock) {
+        dock = document.createElement('div');
+        dock.id = 'ember-widget-dock';
+        const formSheld = document.getElementById('form_sheld');
+        if (formSheld) formSheld.prepend(dock); else document.body.appendChild(dock);
+    }
+    return dock;
+}
+
+function getFloatLayer() {
+    let layer = document.getElementById('ember-float-layer');
+    if (!layer) {
+        layer = document.createElement('div');
+        layer.id = 'ember-float-layer';
+        document.body.appendChild(layer);
+    }
+    return layer;
+}
+
+// Inserting an iframe elsewhere reloads it. moveBefore() (Chromium 133+) keeps the frame running;
+// elsewhere the widget restarts in its new place, keeping its ember.state
+function moveWidgetContainer(finalContainer, parent, before = null) {
+    if (typeof parent.moveBefore === 'function' && finalContainer.isConnected) {
+        try {
+            parent.moveBefore(finalContainer, before);
+            return;
+        } catch (err) {
+            console.warn('[Ember] moveBefore failed, restarting the widget instead:', err);
+        }
+    }
+    const running = !!finalContainer.emberWidget.frameId;
+    if (running) stopWidget(finalContainer);
+    parent.insertBefore(finalContainer, before);
+    if (running) startWidget(finalContainer);
+}
+
+// Leaves a placeholder in the message and moves the widget out of it
+function detachWidget(finalContainer, parent) {
+    const widget = finalContainer.emberWidget;
+    if (!widget.placeholder) {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'ember-widget-placeholder';
+        placeholder.innerHTML = `<i class="fa-solid fa-up-right-from-square"></i> <span>This widget is open outside the message.</span> <span class="interactable" data-widget-action="return">Put it back</span>`;
+        placeholder.emberContainer = finalContainer;
+        finalContainer.before(placeholder);
+        widget.placeholder = placeholder;
+    }
+    finalContainer.classList.add('ember-detached');
+    moveWidgetContainer(finalContainer, parent);
+}
+
+function floatWidget(finalContainer) {
+    const rect = finalContainer.getBoundingClientRect();
+    setWidgetPinned(finalContainer, false);
+    finalContainer.classList.remove('ember-pinned');
+    finalContainer.classList.add('ember-floating');
+    const width = Math.min(Math.max(rect.width, 320), window.innerWidth - 20);
+    const height = Math.min(Math.max(rect.height, 200), window.innerHeight - 20);
+    const offset = getFloatLayer().childElementCount * 24;
+    Object.assign(finalContainer.style, {
+        width: `${width}px`,
+        height: `${height}px`,
+        left: `${Math.max(10, window.innerWidth - width - 30 - offset)}px`,
+        top: `${Math.min(80 + offset, window.innerHeight - height - 10)}px`,
+    });
+    detachWidget(finalContainer, getFloatLayer());
+}
+
+function pinWidget(finalContainer, persist = true) {
+    finalContainer.classList.remove('ember-floating');
+    finalContainer.classList.add('ember-pinned');
+    Object.assign(finalContainer.style, { left: '', top: '', width: '' });
+    detachWidget(finalContainer, getWidgetDock());
+    if (persist) setWidgetPinned(finalContainer, true);
+}
+
+function returnWidget(finalContainer) {
+    const widget = finalContainer.emberWidget;
+    setWidgetPinned(finalContainer, false);
+    finalContainer.classList.remove('ember-detached', 'ember-floating', 'ember-pinned');
+    Object.assign(finalContainer.style, { left: '', top: '', width: '' });
+    if (widget.placeholder?.isConnected) {
+        moveWidgetContainer(finalContainer, widget.placeholder.parentElement, widget.placeholder);
+        widget.placeholder.remove();
+    } else {
+        // The message was re-rendered meanwhile; its fresh render has its own copy of the widget
+        stopWidget(finalContainer);
+        finalContainer.remove();
+    }
+    widget.placeholder = null;
+}
+
+// Pinned blocks are kept per chat, in the message's extra data
+function setWidgetPinned(finalContainer, pinned) {
+    const { messageId, blockKey } = finalContainer.emberWidget;
+    const emberData = getEmberMessageData(messageId, pinned);
+    if (!emberData) return;
+    const current = emberData.pinned || [];
+    if (pinned === current.includes(blockKey)) return;
+    emberData.pinned = pinned ? [...current, blockKey] : current.filter(key => key !== blockKey);
+    if (emberData.pinned.length === 0) delete emberData.pinned;
+    saveChatDebounced();
+}
+
+// Widgets in the dock or floating layer are not inside their message, so message cleanup has to find them here
+function removeDetachedWidgets(messageId = null) {
+    document.querySelectorAll('#ember-widget-dock .ember-container, #ember-float-layer .ember-container').forEach(container => {
+        if (messageId !== null && container.emberWidget?.messageId !== Number(messageId)) return;
+        stopWidget(container);
+        forgetLazyWidget(container);
+        container.remove();
+    });
+}
+
+function startWidgetDrag(finalContainer, event) {
+    const handle = event.target;
+    const startX = event.clientX - finalContainer.offsetLeft;
+    const startY = event.clientY - finalContainer.offsetTop;
+    handle.setPointerCapture(event.pointerId);
+    const onMove = (moveEvent) => {
+        const left = Math.min(Math.max(0, moveEvent.clientX - startX), window.innerWidth - 60);
+        const top = Math.min(Math.max(0, moveEvent.clientY - startY), window.innerHeight - 40);
+        finalContainer.style.left = `${left}px`;
+        finalContainer.style.top = `${top}px`;
+    };
+    const onUp = () => {
+        handle.removeEventListener('pointermove', onMove);
+        handle.removeEventListener('pointerup', onUp);
+        handle.removeEventListener('pointercancel', onUp);
+    };
+    handle.addEventListener('pointermove', onMove);
+    handle.addEventListener('pointerup', onUp);
+    handle.addEventListener('pointercancel', onUp);
+}
+
+// Creates a fresh frame for a widget container; used for the first run and for re-runs
+async function startWidget(finalContainer) {
+    const widget = finalContainer.emberWidget;
+    const { loadingContainer } = widget;
+    // A failed start leaves its source view behind under the old frame id
+    loadingContainer.parentElement?.querySelector(`.ember-source-view[data-frame-id="${loadingContainer.dataset.frameId}"]`)?.remove();
+    const frameId = `ember-frame-${widget.messageId}-${widget.kind}-${++frameCounter}`;
+    widget.frameId = frameId;
+    loadingContainer.dataset.frameId = frameId;
+    finalContainer.dataset.frameId = frameId;
+    loadingContainer.innerHTML = `<i class="fa-solid fa-spinner fa-spin"></i> <span>Ember JS preparing...</span>`;
+    loadingContainer.style.color = '';
+    loadingContainer.style.display = '';
+    loadingContainer.style.minHeight = widget.lastHeight ? `${widget.lastHeight}px` : '';
+    finalContainer.style.display = 'none';
+    finalContainer.classList.remove('ember-stopped', 'ember-showing-source', 'ember-unresponsive', 'ember-failed');
+    finalContainer.querySelector('.ember-watchdog-notice')?.remove();
+    widget.unloaded = false;
+    widgetQueue.delete(finalContainer);
+    finalContainer.querySelector('[data-widget-action="stop"]')?.classList.replace('fa-play', 'fa-stop');
+
+    try {
+        if (widget.prepareError) throw widget.prepareError;
+        const { preparedCode } = widget;
+        console.log(`[Ember Debug] Loading libraries for ${widget.blockKey}: ${preparedCode.libraries.map(libDef => libDef.alias).join(', ') || '(none)'}`);
+
+        const isolationMode = getIsolationMode();
+        const librarySources = await resolveLibrarySources(preparedCode.libraries, isolationMode);
+        console.log(`[Ember Debug] Successfully resolved ${librarySources.length} libraries (${isolationMode} isolation)`);
+
+        console.log(`[Ember Debug] JavaScript code to execute (${preparedCode.body.length} chars):`, preparedCode.body);
+        const iframe = createSandboxedFrame(preparedCode.body, librarySources, frameId, {
+            messageId: widget.messageId,
+            blockKey: widget.blockKey,
+            isolation: isolationMode,
+            source: widget.source,
+            lifecycle: getWidgetLifecycle(preparedCode),
+            module: isModuleCode(preparedCode.body),
+            markup: widget.markup,
+        });
+        finalContainer.classList.toggle('ember-headless', preparedCode.data.headless === true);
+        finalContainer.appendChild(iframe);
+        if (widget.parentPre) widget.parentPre.style.display = 'none';
+        widget.memberPres?.forEach(pre => { pre.style.display = 'none'; });
+        return true;
+    } catch (error) {
+        console.error('[Ember JS] Critical error creating sandbox or fetching libs:', error);
+        const { location } = error;
+        const { source } = widget;
+        const summary = error.message + (location && source ? ` (line ${location.line}, column ${location.column} of the ${source.label})` : '');
+        loadingContainer.innerHTML = `<i class="fa-solid fa-triangle-exclamation"></i> <span><b>Ember JS Error:</b> ${escapeHtml(summary)}</span>`;
+        loadingContainer.style.color = 'var(--text-color-error)';
+        // Transpile errors carry a block location and are shown and healed like runtime errors
+        if (location && source) {
+            const sourceView = buildSourceView(source.text, location.line, location.column);
+            sourceView.dataset.frameId = frameId;
+            loadingContainer.insertAdjacentElement('afterend', sourceView);
+            if (widget.parentPre) widget.parentPre.dataset.emberErrorLocation = `${location.line}:${location.column}`;
+            if (source.element?.isConnected) requestAutomaticHeal(widget.messageId, getCodeBlockHealTarget(widget.messageId, source.element), summary, location);
+        }
+        // The toolbar stays so the widget can be re-run, viewed or restored to another version
+        widget.frameId = null;
+        finalContainer.classList.add('ember-failed');
+        finalContainer.style.display = '';
+        return false;
+    }
+}
+
+// Lifecycle options for the frame, from the frontmatter `timeout:` (seconds, 0 for none) and the code itself
+function getWidgetLifecycle(preparedCode) {
+    const timeout = Number(preparedCode.data.timeout);
+    return {
+        explicit: /\bember\.ready\s*\(/.test(preparedCode.body),
+        timeout: Number.isFinite(timeout) && timeout >= 0 ? timeout : DEFAULT_READY_TIMEOUT_SECONDS,
+    };
+}
+
+// Tears down the frame of one widget and everything attached to it, leaving the containers in place
+function stopWidget(finalContainer) {
+    const widget = finalContainer.emberWidget;
+    if (!widget?.frameId) return;
+    const { frameId } = widget;
+    if (document.fullscreenElement === finalContainer) document.exitFullscreen();
+    emberFrames.get(frameId)?.port?.close();
+    emberFrames.delete(frameId);
+    delete emberMaxHeights[frameId];
+    if (finalContainer.offsetHeight) widget.lastHeight = finalContainer.offsetHeight;
+    finalContainer.querySelector('iframe')?.remove();
+    finalContainer.parentElement?.querySelectorAll(`.ember-console[data-frame-id="${frameId}"], .ember-network-notice[data-frame-id="${frameId}"], .ember-source-view[data-frame-id="${frameId}"]`)
+        .forEach(el => el.remove());
+    widget.frameId = null;
+    console.log(`[Ember] Stopped ${frameId}`);
+    // Deferred so a re-run can take the slot it just freed before queued widgets do
+    queueMicrotask(startQueuedWidgets);
+}
+
+// Containers waiting for a free slot under maxRunningWidgets, in request order
+const widgetQueue = new Set();
+let lazyStartObserver = null;
+let lazyUnloadObserver = null;
+
+function getRunningWidgets() {
+    return [...document.querySelectorAll('.ember-container')].filter(container => container.emberWidget?.frameId);
+}
+
+function isWidgetNearViewport(finalContainer) {
+    const widget = finalContainer.emberWidget;
+    return finalContainer.classList.contains('ember-detached') || !emberSettings.lazyWidgets || !!widget.nearViewport;
+}
+
+// Starts a widget now if the running limit allows, evicting an off-screen widget if needed, or queues it
+function requestWidgetStart(finalContainer) {
+    const limit = Number(emberSettings.maxRunningWidgets) || 0;
+    const running = getRunningWidgets();
+    if (limit > 0 && running.length >= limit) {
+        const evictable = running.find(container => !isWidgetNearViewport(container));
+        if (!evictable) {
+            widgetQueue.add(finalContainer);
+            const { loadingContainer } = finalContainer.emberWidget;
+            loadingContainer.innerHTML = `<i class="fa-solid fa-hourglass-half"></i> <span>Waiting for a free slot (${limit} widgets already running)...</span>`;
+            return true;
+        }
+        unloadWidget(evictable);
+    }
+    return startWidget(finalContainer);
+}
+
+function startQueuedWidgets() {
+    for (const container of widgetQueue) {
+        if (!container.isConnected || container.emberWidget.frameId) {
+            widgetQueue.delete(container);
+            continue;
+        }
+        const limit = Number(emberSettings.maxRunningWidgets) || 0;
+        if (limit > 0 && getRunningWidgets().length >= limit) return;
+        if (!isWidgetNearViewport(container)) continue;
+        widgetQueue.delete(container);
+        startWidget(container);
+    }
+}
+
+// Frees an off-screen widget's frame; its ember.state is already saved with the message on every change
+function unloadWidget(finalContainer) {
+    const widget = finalContainer.emberWidget;
+    stopWidget(finalContainer);
+    widget.unloaded = true;
+    finalContainer.style.display = 'none';
+    widget.loadingContainer.style.display = '';
+    widget.loadingContainer.style.color = '';
+    widget.loadingContainer.style.minHeight = widget.lastHeight ? `${widget.lastHeight}px` : '';
+    widget.loadingContainer.innerHTML = `<i class="fa-solid fa-pause"></i> <span>Widget paused while off-screen</span>`;
+}
+
+function getLazyObservers() {
+    if (!lazyStartObserver) {
+        lazyStartObserver = new IntersectionObserver((entries) => {
+            for (const entry of entries) {
+                const finalContainer = entry.target.emberContainer || entry.target;
+                const widget = finalContainer.emberWidget;
+                if (!widget) continue;
+                widget.visibleTargets = widget.visibleTargets || new Set();
+                if (entry.isIntersecting) widget.visibleTargets.add(entry.target); else widget.visibleTargets.delete(entry.target);
+                widget.nearViewport = widget.visibleTargets.size > 0;
+                const waiting = !widget.frameId && !finalContainer.classList.contains('ember-stopped') && !finalContainer.classList.contains('ember-failed') && finalContainer.isConnected;
+                if (widget.nearViewport && waiting && !widgetQueue.has(finalContainer)) requestWidgetStart(finalContainer);
+            }
+            startQueuedWidgets();
+        }, { rootMargin: LAZY_START_MARGIN });
+        lazyUnloadObserver = new IntersectionObserver((entries) => {
+            for (const entry of entries) {
+                const finalContainer = entry.target;
+                const widget = finalContainer.emberWidget;
+                // Hidden containers (still loading, or showing an error) never intersect; leave them alone
+                if (entry.isIntersecting || !widget?.frameId || finalContainer.style.display === 'none') continue;
+                if (!finalContainer.classList.contains('ember-detached')) unloadWidget(finalContainer);
+            }
+        }, { rootMargin: LAZY_UNLOAD_MARGIN });
+    }
+    return { lazyStartObserver, lazyUnloadObserver };
+}
+
+// Entry point for new widgets: starts detached or eager widgets right away, others once they come near the viewport
+function scheduleWidget(finalContainer) {
+    const { loadingContainer } = finalContainer.emberWidget;
+    if (!emberSettings.lazyWidgets || finalContainer.classList.contains('ember-detached')) {
+        return requestWidgetStart(finalContainer);
+    }
+    loadingContainer.innerHTML = `<i class="fa-solid fa-cube"></i> <span>Ember widget loads when scrolled into view</span>`;
+    loadingContainer.emberContainer = finalContainer;
+    const { lazyStartObserver, lazyUnloadObserver } = getLazyObservers();
+    lazyStartObserver.observe(loadingContainer);
+    lazyStartObserver.observe(finalContainer);
+    lazyUnloadObserver.observe(finalContainer);
+    return true;
+}
+
+function forgetLazyWidget(element) {
+    lazyStartObserver?.unobserve(element);
+    lazyUnloadObserver?.unobserve(element);
+    widgetQueue.delete(element);
+}
+
+async function handleWidgetAction(finalContainer, action) {
+    const widget = finalContainer.emberWidget;
+    if (!widget) return;
+    switch (action) {
+        case 'source': {
+            let sourceView = finalContainer.querySelector('.ember-widget-source');
+            if (!sourceView) {
+                sourceView = document.createElement('pre');
+                sourceView.className = 'ember-widget-source';
+                sourceView.textContent = widget.source?.text || widget.preparedCode?.body || '';
+                finalContainer.appendChild(sourceView);
+            }
+            const showSource = finalContainer.classList.toggle('ember-showing-source');
+            finalContainer.querySelector('[data-widget-action="source"]').title = showSource ? 'Show widget' : 'Show source';
+            break;
+        }
+        case 'rerun':
+            stopWidget(finalContainer);
+            await startWidget(finalContainer);
+            break;
+        case 'stop':
+            if (widget.frameId) {
+                stopWidget(finalContainer);
+                finalContainer.classList.add('ember-stopped');
+                finalContainer.querySelector('[data-widget-action="stop"]').classList.replace('fa-stop', 'fa-play');
+            } else {
+                finalContainer.classList.remove('ember-stopped');
+                await requestWidgetStart(finalContainer);
+            }
+            break;
+        case 'fullscreen':
+            if (document.fullscreenElement === finalContainer) {
+                await document.exitFullscreen();
+            } else {
+                await finalContainer.requestFullscreen();
+            }
+            break;
+        case 'copy':
+            await navigator.clipboard.writeText(widget.source?.text || widget.preparedCode?.body || '');
+            toastr.info('Widget code copied to clipboard.');
+            break;
+        case 'float':
+            floatWidget(finalContainer);
+            break;
+        case 'history':
+            if (!widget.source?.element) {
+                toastr.info('Only code blocks keep a version history.', 'Ember');
+                break;
+            }
+            toggleVersionHistory(finalContainer.querySelector('.ember-widget-toolbar'), widget.messageId, widget.blockKey);
+            break;
+        case 'pin':
+            pinWidget(finalContainer);
+            break;
+        case 'return':
+            returnWidget(finalContainer);
+            break;
+    }
+}
+
+async function processMessage(messageId, isUserMessage = false) {
+    console.log(`[Ember Debug] Processing message ${messageId}, isUser: ${isUserMessage}`);
+    const messageDomElement = document.querySelector(`.mes[mesid="${messageId}"]`);
+    if (!messageDomElement) {
+        console.log(`[Ember Debug] No DOM element found for message ${messageId}`);
+        return;
     }
     const messageTextElement = messageDomElement.querySelector('.mes_text');
-    if (!messageTextElement || messageTextElement.querySelector('.ember-iframe, .ember-generic-html-iframe, .edit_textarea')) {
+    if (!messageTextElement || messageTextElement.querySelector('.ember-iframe, .ember-generic-html-iframe, .ember-consent, .ember-preflight-blocked, .edit_textarea')) {
         console.log(`[Ember Debug] No text element or already processed for message ${messageId}`);
         return;
     }
@@ -987,11 +2378,22 @@ async function processMessage(messageId, isUserMessage = false) {
     // Look for JavaScript code blocks with more flexible detection
     const codeBlocks = messageTextElement.querySelectorAll(`pre > code`);
     console.log(`[Ember Debug] Found ${codeBlocks.length} code blocks in message ${messageId}`);
+
+    // html/css blocks that belong to a script block are rendered inside that script's frame
+    const blockGroups = new Map();
+    for (const group of groupCodeBlocks(Array.from(codeBlocks, code => ({ kind: classifyCodeBlock(code), text: code.innerText.trim() })))) {
+        const members = [...group.markup, ...group.styles].map(index => codeBlocks[index]);
+        const combined = { ...group, members, markup: group.markup.map(index => codeBlocks[index]), styles: group.styles.map(index => codeBlocks[index]) };
+        blockGroups.set(codeBlocks[group.script], combined);
+        members.forEach(member => blockGroups.set(member, combined));
+    }
     
-    for (const codeBlock of codeBlocks) {
+    for (const [codeBlockIndex, codeBlock] of Array.from(codeBlocks).entries()) {
         // Check if it's a JavaScript code block by class name or content pattern
         const className = codeBlock.className || '';
         const codeContent = codeBlock.innerText.trim();
+        const group = blockGroups.get(codeBlock);
+        if (group && codeBlocks[group.script] !== codeBlock) continue;
         
         console.log(`[Ember Debug] Code block class: "${className}", content preview: "${codeContent.substring(0, 100)}..."`);
         
@@ -1000,7 +2402,8 @@ async function processMessage(messageId, isUserMessage = false) {
         
         console.log(`[Ember Debug] Detection result:`, jsDetection);
         
-        if (!jsDetection.isJavaScript) continue;
+        const transpileLanguage = getTranspileLanguage(className);
+        if (!jsDetection.isJavaScript && !transpileLanguage) continue;
         
         console.log(`[Ember Debug] Processing JavaScript code block for message ${messageId}`);
         
@@ -1010,6 +2413,7 @@ async function processMessage(messageId, isUserMessage = false) {
             processedByEmberJs = true; 
             continue; 
         }
+        if (parentPre.dataset.emberProcessed === 'syntax-error') continue;
         
         if (!codeContent.trim()) {
              console.log(`[Ember Debug] Empty code content, skipping`);
@@ -1046,87 +2450,87 @@ async function processMessage(messageId, isUserMessage = false) {
         // Mark this code as processed
         processedScriptHashes.add(codeHash);
         
-        // Validate JavaScript syntax before execution
+        // Strip frontmatter and resolve requested libraries; errors are shown in the loading container below
+        let preparedCode = null;
+        let prepareError = null;
         try {
-            new Function(javascriptCode);
-            console.log(`[Ember Debug] JavaScript syntax validation passed`);
-        } catch (syntaxError) {
-            console.error(`[Ember Debug] JavaScript syntax error:`, syntaxError);
-            console.log(`[Ember Debug] Problematic code:`, javascriptCode);
-            parentPre.dataset.emberProcessed = 'syntax-error';
-            continue;
+            preparedCode = prepareEmberCode(javascriptCode);
+            if (transpileLanguage) preparedCode = await transpilePreparedCode(preparedCode, transpileLanguage);
+        } catch (error) {
+            preparedCode = null;
+            prepareError = error;
+        }
+        
+        // Validate JavaScript syntax before execution
+        if (preparedCode) {
+            try {
+                parseWidgetCode(preparedCode.body);
+                console.log(`[Ember Debug] JavaScript syntax validation passed`);
+            } catch (syntaxError) {
+                console.error(`[Ember Debug] JavaScript syntax error:`, syntaxError);
+                console.log(`[Ember Debug] Problematic code:`, javascriptCode);
+                parentPre.dataset.emberProcessed = 'syntax-error';
+                const source = {
+                    text: codeContent,
+                    lineOffset: preparedCode.lineOffset,
+                    lineMap: jsDetection.isHtmlWithJavaScript ? buildLineMap(codeContent, javascriptCode) : null,
+                    label: 'code block',
+                };
+                const { badge, summary, location } = showSyntaxError(syntaxError, preparedCode.body, source, badge => parentPre.after(badge));
+                parentPre.dataset.emberErrorMessage = summary;
+                if (location) parentPre.dataset.emberErrorLocation = `${location.line}:${location.column}`;
+                badge.insertAdjacentHTML('beforeend', '<div class="menu_button" data-syntax-action="heal"><i class="fa-solid fa-bolt"></i> Heal</div>');
+                const target = getCodeBlockHealTarget(messageId, codeBlock);
+                badge.emberHeal = { messageId, target, summary, location };
+                requestAutomaticHeal(messageId, target, summary, location);
+                continue;
+            }
         }
         
-        console.log(`[Ember Debug] Creating iframe for JavaScript execution`);
         processedByEmberJs = true; 
         parentPre.dataset.emberProcessed = 'true';
-        
-        // Load all libraries by default - no frontmatter parsing needed
-        const requestedLibs = ['d3', 'three', 'p5', 'anime', 'chartjs', 'matter'];
 
-        const frameId = `ember-frame-${messageId}-codeblock-${Date.now()}`;
-        console.log(`[Ember Debug] Creating iframe execution environment for ${jsDetection.isHtmlWithJavaScript ? 'HTML with JavaScript' : jsDetection.isContentBasedJavaScript ? 'content-based JavaScript' : 'direct JavaScript'}`);
-        
-        // Declare containers in outer scope so they're available to both try blocks
-        let loadingContainer, finalContainer;
-        
-        try {
-            loadingContainer = document.createElement('div');
-            loadingContainer.className = 'ember-loading-container';
-            loadingContainer.innerHTML = `<i class="fa-solid fa-spinner fa-spin"></i> <span>Ember JS preparing...</span>`;
-            loadingContainer.dataset.frameId = frameId;
-            
-            finalContainer = document.createElement('div');
-            finalContainer.className = 'ember-container';
-            finalContainer.style.display = 'none';
-            finalContainer.dataset.frameId = frameId;
-            
-            parentPre.insertAdjacentElement('afterend', finalContainer);
-            parentPre.insertAdjacentElement('afterend', loadingContainer);
-            
-        } catch (domError) {
-            console.error(`[Ember Debug] DOM Error:`, domError);
-            continue; // Skip this iteration if DOM setup fails
+        let markup = null;
+        if (group) {
+            markup = combineGroupMarkup(group.markup.map(code => code.innerText), group.styles.map(code => code.innerText));
+            group.members.forEach(member => { member.parentElement.dataset.emberProcessed = 'grouped'; });
+            // Inline handlers run in global scope, but the script's functions are local to its wrapper
+            const handlerFunctions = preparedCode ? findInlineHandlerFunctions(preparedCode.body, markup.html) : [];
+            if (handlerFunctions.length) {
+                preparedCode = { ...preparedCode, body: `Object.assign(window, { ${handlerFunctions.join(', ')} }); ${preparedCode.body}` };
+            }
+            console.log(`[Ember Debug] Combining code block ${codeBlockIndex} with ${group.members.length} html/css block(s)${group.key ? ` (group "${group.key}")` : ''}`);
         }
 
-        try {
-            console.log(`[Ember Debug] ENTERED TRY BLOCK - Loading libraries: ${requestedLibs.join(', ')}`);
-            
-            const libMap = requestedLibs.map(alias => BUILT_IN_LIBRARIES.find(lib=>lib.alias===alias)).filter(Boolean);
-            console.log(`[Ember Debug] Found ${libMap.length} library definitions:`, libMap);
-            
-            const libUrls = libMap.map(libDef=>`${location.origin}/scripts/extensions/third-party/${MODULE_NAME}/lib/${libDef.file}`);
-            console.log(`[Ember Debug] Library URLs: ${libUrls.join(', ')}`);
-            
-            console.log(`[Ember Debug] Starting to fetch libraries...`);
-            const libCodes = await Promise.all(libUrls.map(async (url, index) => {
-                console.log(`[Ember Debug] Fetching ${url}...`);
-                try {
-                    const res = await fetch(url);
-                    if (!res.ok) throw new Error(`HTTP ${res.status}: ${res.statusText}`);
-                    const code = await res.text();
-                    console.log(`[Ember Debug] Successfully loaded ${url} (${code.length} chars)`);
-                    return code;
-                } catch (err) {
-                    console.error(`[Ember Debug] Failed to fetch ${url}:`, err);
-                    throw new Error(`Failed to fetch library ${url}: ${err.message}`);
-                }
-            }));
-            console.log(`[Ember Debug] Successfully loaded ${libCodes.length} libraries`);
-            
-            console.log(`[Ember Debug] Creating sandboxed iframe...`);
-            console.log(`[Ember Debug] JavaScript code to execute (${javascriptCode.length} chars):`, javascriptCode);
-            const iframe = createSandboxedFrame(javascriptCode, libCodes, frameId);
-            console.log(`[Ember Debug] Created iframe:`, iframe);
-            finalContainer.appendChild(iframe);
-            console.log(`[Ember Debug] Appended iframe to container, hiding original pre`);
-            parentPre.style.display = 'none';
-        } catch (error) {
-            console.error('[Ember JS] Critical error creating sandbox or fetching libs:', error);
-            loadingContainer.innerHTML = `<i class="fa-solid fa-triangle-exclamation"></i> <span><b>Ember JS Error:</b> Could not create sandbox or load libraries. Check console.</span>`;
-            loadingContainer.style.color = 'var(--text-color-error)';
-            parentPre.dataset.emberProcessed = 'false';
-            if (finalContainer) finalContainer.remove();
+        const mountWidget = () => {
+            const { finalContainer } = createWidgetContainers(messageId, `codeblock-${codeBlockIndex}`, 'codeblock', containers => parentPre.after(...containers));
+            Object.assign(finalContainer.emberWidget, {
+                preparedCode,
+                prepareError,
+                parentPre,
+                markup,
+                memberPres: group ? group.members.map(member => member.parentElement) : [],
+                source: {
+                    text: codeContent,
+                    lineOffset: preparedCode?.lineOffset || 0,
+                    lineMap: jsDetection.isHtmlWithJavaScript ? buildLineMap(codeContent, javascriptCode) : null,
+                    label: 'code block',
+                    element: codeBlock,
+                },
+            });
+            return scheduleWidget(finalContainer);
+        };
+
+        // Markup can carry inline handlers, so it is part of what the user approves
+        const trustKey = await getCodeTrustKey(markup ? `${javascriptCode}\n${markup.html}\n${markup.css}` : javascriptCode);
+        const preflight = preparedCode ? runPreflight(preparedCode) : { blocked: [], warnings: [] };
+        if (preflight.blocked.length) {
+            showPreflightBlocked(preflight.blocked, notice => parentPre.insertAdjacentElement('afterend', notice));
+        } else if (isCodeTrusted(trustKey, preflight.warnings)) {
+            await mountWidget();
+        } else {
+            console.log(`[Ember Consent] Waiting for consent to run code block ${codeBlockIndex} of message ${messageId}`);
+            showConsentPrompt(javascriptCode, trustKey, prompt => parentPre.insertAdjacentElement('afterend', prompt), mountWidget, preflight.warnings);
         }
     }
     
@@ -1247,7 +2651,14 @@ async function processMessage(messageId, isUserMessage = false) {
                 const autoActivateResponse = emberSettings.directHtmlProcessingMode === 'responses' || autoActivateUser;
 
                 if ((isUserMessage && autoActivateUser) || (!isUserMessage && autoActivateResponse)) {
-                    await renderGenericHtmlInFrame(messageTextElement, htmlForProcessing, messageId);
+                    // Plain markup renders right away; anything that can run code or navigate needs consent first
+                    const trustKey = await getCodeTrustKey(htmlForProcessing);
+                    if (!htmlNeedsConsent(htmlForProcessing) || isCodeTrusted(trustKey)) {
+                        await renderGenericHtmlInFrame(messageTextElement, htmlForProcessing, messageId);
+                    } else {
+                        showConsentPrompt(htmlForProcessing, trustKey, prompt => messageTextElement.prepend(prompt),
+                            () => renderGenericHtmlInFrame(messageTextElement, htmlForProcessing, messageId));
+                    }
                     return;
                 } else {
                     addGenericHtmlRunButton(messageDomElement, messageId, htmlForProcessing);
@@ -1263,32 +2674,180 @@ async function processMessage(messageId, isUserMessage = false) {
     }
 }
 
-window.addEventListener('message', async (event) => {
-    if (!event.data || !event.data.type?.startsWith('ember-')) return;
-    const { type, frameId, message, height, injection } = event.data;
-    console.log(`[Ember Debug] Received message from iframe: ${type}, frameId: ${frameId}`);
+// Hands each sandbox its own MessagePort, but only when the hello comes from that frame's window.
+// Everything else a frame says travels over the port, so other windows cannot impersonate it.
+window.addEventListener('message', (event) => {
+    if (event.data?.type !== 'ember-bridge-hello') return;
+    const { frameId } = event.data;
+    const frameInfo = emberFrames.get(frameId);
+    if (!frameInfo || frameInfo.port || !event.source || event.source !== frameInfo.iframe?.contentWindow) {
+        console.warn(`[Ember Bridge] Rejected bridge request for ${frameId}: unknown frame, wrong source or already connected`);
+        return;
+    }
+    const channel = new MessageChannel();
+    frameInfo.port = channel.port1;
+    channel.port1.onmessage = (msg) => handleFrameMessage(frameId, msg.data);
+    event.source.postMessage({ type: 'ember-bridge-init' }, '*', [channel.port2]);
+    console.log(`[Ember Bridge] Connected ${frameId}`);
+});
+
+// Lists the hosts a widget tried to reach but the network policy blocked
+function showNetworkNotice(frameId, frameInfo, host) {
+    const anchor = frameInfo.kind === 'html'
+        ? frameInfo.iframe
+        : document.querySelector(`.ember-container[data-frame-id="${frameId}"]`);
+    if (!anchor?.isConnected) return;
+    let notice = anchor.parentElement.querySelector(`.ember-network-notice[data-frame-id="${frameId}"]`);
+    if (!notice) {
+        notice = document.createElement('div');
+        notice.className = 'ember-network-notice';
+        notice.dataset.frameId = frameId;
+        notice.blockedHosts = new Set();
+        anchor.insertAdjacentElement('afterend', notice);
+    }
+    notice.blockedHosts.add(String(host));
+    const hosts = [...notice.blockedHosts].map(escapeHtml).join(', ');
+    notice.innerHTML = `<i class="fa-solid fa-shield-halved"></i> <span>Ember blocked network access to <b>${hosts}</b> (network policy: ${escapeHtml(emberSettings.networkPolicy)}). Allowed domains can be changed in the Ember settings.</span>`;
+}
+
+// Console panels sit under the widget container (JS) or the frame itself (HTML) and are created on first output
+function appendToWidgetConsole(frameId, frameInfo, entry) {
+    if (!emberSettings.widgetConsoleEnabled) return;
+    const anchor = frameInfo.kind === 'html'
+        ? frameInfo.iframe
+        : document.querySelector(`.ember-container[data-frame-id="${frameId}"]`);
+    if (!anchor?.isConnected) return;
+    let panel = anchor.parentElement.querySelector(`.ember-console[data-frame-id="${frameId}"]`);
+    if (!panel) {
+        panel = createConsolePanel(frameId);
+        anchor.insertAdjacentElement('afterend', panel);
+    }
+    const text = frameInfo.source ? rewriteStackLocations(frameInfo.source, entry.text, frameInfo.source.label) : entry.text;
+    appendConsoleEntry(panel, { ...entry, text });
+}
+
+// Frames only get a monitor when they were built with the heartbeat script
+function createFrameMonitor() {
+    return emberSettings.watchdogEnabled ? createMonitor(Date.now()) : null;
+}
+
+let lastWatchdogTick = Date.now();
+
+function runWatchdog() {
+    const now = Date.now();
+    // A late tick means the host itself was blocked or throttled and could not receive heartbeats
+    const hostStalled = now - lastWatchdogTick > HEARTBEAT_INTERVAL_MS * 3;
+    lastWatchdogTick = now;
+    if (!emberSettings.watchdogEnabled) return;
+    const timeoutMs = Math.max(2, Number(emberSettings.watchdogTimeoutSeconds) || 5) * 1000;
+    for (const [frameId, frameInfo] of emberFrames) {
+        const { monitor } = frameInfo;
+        if (!monitor) continue;
+        // Hidden tabs throttle frame timers, so silence there says nothing about the widget
+        if (document.hidden || hostStalled) {
+            monitor.lastBeat = now;
+            continue;
+        }
+        const reason = checkMonitor(monitor, now, { timeoutMs });
+        if (reason) stopRunawayFrame(frameId, frameInfo, reason);
+    }
+}
+
+function stopRunawayFrame(frameId, frameInfo, reason) {
+    console.warn(`[Ember Watchdog] Stopping ${frameId}: ${reason}`);
+    const notice = document.createElement('div');
+    notice.className = 'ember-watchdog-notice';
+    notice.innerHTML = `<i class="fa-solid fa-heart-crack"></i> <span><b>Stopped: ${escapeHtml(reason)}.</b> The widget was using too much time or stopped answering, so its frame was closed.</span>`;
+    const rerunButton = Object.assign(document.createElement('div'), {
+        className: 'menu_button interactable',
+        innerHTML: '<i class="fa-solid fa-rotate-right"></i> Re-run',
+    });
+    notice.appendChild(rerunButton);
+
+    if (frameInfo.kind === 'html') {
+        const { messageId } = frameInfo;
+        notice.dataset.messageId = String(messageId);
+        rerunButton.dataset.watchdogAction = 'rerender';
+        // The renderer's observer closes the port and unregisters the frame once the iframe is gone
+        frameInfo.iframe.replaceWith(notice);
+        return;
+    }
+
+    const finalContainer = document.querySelector(`.ember-container[data-frame-id="${frameId}"]`);
+    if (!finalContainer) {
+        frameInfo.port?.close();
+        frameInfo.iframe.remove();
+        emberFrames.delete(frameId);
+        return;
+    }
+    stopWidget(finalContainer);
+    rerunButton.dataset.widgetAction = 'rerun';
+    finalContainer.emberWidget.loadingContainer.style.display = 'none';
+    finalContainer.style.display = 'block';
+    finalContainer.classList.add('ember-stopped', 'ember-unresponsive');
+    finalContainer.querySelector('[data-widget-action="stop"]')?.classList.replace('fa-stop', 'fa-play');
+    finalContainer.appendChild(notice);
+}
+
+async function handleFrameMessage(frameId, data) {
+    const frameInfo = emberFrames.get(frameId);
+    if (!frameInfo || !data || typeof data.type !== 'string') return;
+    const { type, message, height, injection, state, requestId } = data;
+    if (type !== 'ember-heartbeat') console.log(`[Ember Debug] Received message from iframe: ${type}, frameId: ${frameId}`);
     const loadingContainer = document.querySelector(`.ember-loading-container[data-frame-id="${frameId}"]`);
     const finalContainer = document.querySelector(`.ember-container[data-frame-id="${frameId}"]`);
 
     switch (type) {
         case 'ember-error':
-            if (!loadingContainer) return;
+            if (!loadingContainer || typeof message !== 'string') return;
             console.error(`[Ember JS Iframe Error: ${frameId}] ${message}`);
-            loadingContainer.innerHTML = `<i class="fa-solid fa-triangle-exclamation"></i> <span><b>Ember JS Error:</b> ${message.split('\n')[0]}</span>`;
+            const source = frameInfo.source;
+            const location = source ? findErrorLocation(source, message) : null;
+            const summary = message.split('\n')[0] + (location ? ` (line ${location.line}, column ${location.column} of the ${source.label})` : '');
+            loadingContainer.innerHTML = `<i class="fa-solid fa-triangle-exclamation"></i> <span><b>Ember JS Error:</b> ${escapeHtml(summary)}</span>`;
             loadingContainer.style.color = 'var(--text-color-error)'; loadingContainer.style.display = 'flex';
             if (finalContainer) finalContainer.style.display = 'none';
-            const msgIdErr = frameId.split('-')[2];
-            const codeElErr = document.querySelector(`.mes[mesid="${msgIdErr}"] pre[data-ember-processed="true"] > code`);
+            if (location) {
+                loadingContainer.parentElement.querySelector(`.ember-source-view[data-frame-id="${frameId}"]`)?.remove();
+                const sourceView = buildSourceView(source.text, location.line, location.column);
+                sourceView.dataset.frameId = frameId;
+                loadingContainer.insertAdjacentElement('afterend', sourceView);
+                if (source.element?.parentElement) source.element.parentElement.dataset.emberErrorLocation = `${location.line}:${location.column}`;
+            }
+            // Execution errors were already logged through the frame's console
+            if (!message.startsWith('Ember Execution Error:')) appendToWidgetConsole(frameId, frameInfo, { level: 'error', text: message });
+            const msgIdErr = frameInfo.messageId;
+            const codeElErr = source?.element?.isConnected ? source.element : document.querySelector(`.mes[mesid="${msgIdErr}"] pre[data-ember-processed="true"] > code`);
             if (codeElErr && message.startsWith('Ember Execution Error:')) {
-                attemptSelfHeal(msgIdErr, codeElErr, message);
+                requestAutomaticHeal(msgIdErr, getCodeBlockHealTarget(msgIdErr, codeElErr), summary, location);
             }
             break;
         case 'ember-success':
-            if (loadingContainer) loadingContainer.style.display = 'none';
+            // A block that runs starts with a fresh heal budget
+            healRecords.delete(`${frameInfo.messageId}:${frameInfo.blockKey}`);
+            // A widget can become ready after its timeout was reported; the stale error must not be healed
+            if (loadingContainer) {
+                loadingContainer.style.display = 'none';
+                loadingContainer.style.color = '';
+            }
             if (finalContainer) finalContainer.style.display = 'block';
             break;
+        case 'ember-progress': {
+            // Only while the widget is still loading; afterwards the loading container may be showing an error
+            if (!loadingContainer || finalContainer?.style.display !== 'none' || loadingContainer.style.color) break;
+            const percent = Number.isFinite(data.percent) ? Math.min(100, Math.max(0, data.percent)) : null;
+            const label = typeof data.label === 'string' && data.label ? data.label.slice(0, 200) : 'Ember JS loading...';
+            loadingContainer.innerHTML = `<i class="fa-solid fa-spinner fa-spin"></i> <span>${escapeHtml(label)}</span>`
+                + (percent !== null ? ` <progress class="ember-progress" max="100" value="${percent}"></progress> <span>${Math.round(percent)}%</span>` : '');
+            break;
+        }
         case 'ember-resize':
-            if (!finalContainer || height <= 0) break;
+            if (frameInfo.kind === 'html') {
+                if (height > 0) frameInfo.iframe.style.height = Math.max(1, height) + 'px';
+                break;
+            }
+            // Floating widgets keep the size the user gave them; headless ones have nothing to show
+            if (!finalContainer || height <= 0 || finalContainer.classList.contains('ember-floating') || finalContainer.classList.contains('ember-headless')) break;
             const currentMax = emberMaxHeights[frameId] || 0;
             let newHeight = height + 15;
             
@@ -1315,16 +2874,64 @@ window.addEventListener('message', async (event) => {
                 catch (ex) { console.error(`[Ember JS Inject via ${frameId}] Failed:`, ex); }
             } else { console.error(`[Ember JS Inject via ${frameId}] Invalid data received for injection:`, injection); }
             break;
+        case 'ember-storage': {
+            let reply;
+            try {
+                reply = { result: await handleWidgetStorageRequest(data) };
+            } catch (err) {
+                console.warn(`[Ember JS Storage via ${frameId}] ${err.message}`);
+                reply = { error: err.message };
+            }
+            frameInfo.port?.postMessage({ type: 'ember-storage-result', requestId, ...reply });
+            break;
+        }
+        case 'ember-source-start':
+            if (frameInfo.source && Number(data.line) > 0) frameInfo.source.start = Number(data.line);
+            break;
+        case 'ember-console':
+            appendToWidgetConsole(frameId, frameInfo, data);
+            break;
+        case 'ember-html-error': {
+            if (frameInfo.kind !== 'html' || typeof message !== 'string') break;
+            const line = frameInfo.lineShift !== null && data.line > frameInfo.lineShift ? data.line - frameInfo.lineShift : null;
+            const problem = `${line ? `line ${line}: ` : ''}${message.slice(0, 500)}`;
+            if (frameInfo.problems.includes(problem)) break;
+            console.warn(`[Ember HTML via ${frameId}] ${problem}`);
+            frameInfo.problems.push(problem);
+            showHtmlDebugNotice(frameId, frameInfo);
+            break;
+        }
+        case 'ember-heartbeat':
+            if (frameInfo.monitor) recordHeartbeat(frameInfo.monitor, data, Date.now(), Number(emberSettings.watchdogCpuBudget) || 0);
+            break;
+        case 'ember-network-blocked':
+            console.warn(`[Ember Network via ${frameId}] Blocked request to ${data.url} (policy: ${emberSettings.networkPolicy})`);
+            showNetworkNotice(frameId, frameInfo, data.host || data.url);
+            break;
+        case 'ember-state-set': {
+            try {
+                saveWidgetState(frameInfo.messageId, frameInfo.blockKey, state);
+            } catch (err) {
+                console.error(`[Ember JS State via ${frameId}] Failed to save widget state:`, err);
+            }
+            break;
+        }
     }
-});
+}
 
 function cleanupEmberElements(messageId) {
+    removeDetachedWidgets(messageId);
     const msgEl = document.querySelector(`.mes[mesid="${messageId}"]`);
     if (msgEl) {
-        msgEl.querySelectorAll('.ember-container, .ember-loading-container, .ember-generic-html-iframe, .ember-run-html-button').forEach(el => el.remove());
+        msgEl.querySelectorAll('.ember-container, .ember-loading-container, .ember-generic-html-iframe, .ember-run-html-button, .ember-network-notice, .ember-consent, .ember-console, .ember-source-view, .ember-widget-placeholder, .ember-watchdog-notice, .ember-heal-proposal, .ember-heal-status, .ember-syntax-error, .ember-html-debug').forEach(el => {
+            forgetLazyWidget(el);
+            el.remove();
+        });
         msgEl.querySelectorAll('pre[data-ember-processed]').forEach(pre => {
             pre.style.display = '';
             delete pre.dataset.emberProcessed;
+            delete pre.dataset.emberErrorLocation;
+            delete pre.dataset.emberErrorMessage;
         });
         const mesText = msgEl.querySelector('.mes_text');
         if (mesText) {
@@ -1339,11 +2946,16 @@ function cleanupEmberElements(messageId) {
                  delete emberMaxHeights[key];
              }
         });
+        for (const [frameId, frameInfo] of emberFrames) {
+            if (frameInfo.messageId !== Number(messageId)) continue;
+            frameInfo.port?.close();
+            emberFrames.delete(frameId);
+        }
     }
 }
 
 function initializeHealButton() {
-    const healButtonHtml = `<div class="mes_button ember-heal-button fa-solid fa-bolt interactable" title="Attempt to fix Ember JavaScript with AI"></div>`;
+    const healButtonHtml = `<div class="mes_button ember-heal-button fa-solid fa-bolt interactable" title="Attempt to fix Ember JavaScript or HTML with AI"></div>`;
     if ($('#message_template .extraMesButtons .ember-heal-button').length === 0) {
         $('#message_template .extraMesButtons').prepend(healButtonHtml);
     }
@@ -1364,6 +2976,22 @@ function loadSettings() {
     $('#ember-clickable-inputs-enabled').prop('checked', emberSettings.clickableInputsEnabled);
     $('#ember-clickable-inputs-prompt-enabled').prop('checked', emberSettings.clickableInputsPromptEnabled);
     $('#ember-clickable-inputs-prompt').val(emberSettings.clickableInputsPrompt);
+    renderLibraryList();
+    syncIsolationControls();
+    $('#ember-network-policy').val(emberSettings.networkPolicy);
+    $('#ember-network-allowlist').val(normalizeAllowlist(emberSettings.networkAllowlist).join('\n')).prop('disabled', emberSettings.networkPolicy !== 'allowlist');
+    $('#ember-storage-quota').val(emberSettings.widgetStorageQuotaKb);
+    renderWidgetStorageList();
+    $('#ember-widget-console-enabled').prop('checked', emberSettings.widgetConsoleEnabled);
+    $('#ember-lazy-widgets').prop('checked', emberSettings.lazyWidgets);
+    $('#ember-max-running-widgets').val(emberSettings.maxRunningWidgets);
+    $('#ember-watchdog-enabled').prop('checked', emberSettings.watchdogEnabled);
+    $('#ember-watchdog-timeout').val(emberSettings.watchdogTimeoutSeconds);
+    $('#ember-watchdog-cpu-budget').val(emberSettings.watchdogCpuBudget);
+    $('#ember-require-consent').prop('checked', emberSettings.requireConsent);
+    renderTrustedSourcesList();
+    renderPreflightRules();
+    syncHealerControls();
 
     const rawHtmlFeatureEnabled = emberSettings.clickableInputsEnabled;
     const promptInjectionEnabled = emberSettings.clickableInputsPromptEnabled;
@@ -1375,6 +3003,160 @@ function loadSettings() {
     updateEmberPromptInjection();
 }
 
+function renderLibraryList() {
+    const list = $('#ember-library-list');
+    if (!list.length) return;
+    list.empty();
+    for (const libDef of getAllLibraries()) {
+        const entry = $('<div class="ember-library-display-entry"></div>');
+        entry.append($('<code></code>').text(libDef.alias), ' ', $('<small></small>').text(`(${libDef.name || libDef.global})`));
+        if (!BUILT_IN_LIBRARIES.includes(libDef)) {
+            entry.attr('title', libDef.stored ? 'Uploaded library' : libDef.path);
+            entry.append($('<i class="fa-solid fa-trash ember-library-remove" title="Remove library"></i>').attr('data-alias', libDef.alias));
+        }
+        list.append(entry);
+    }
+}
+
+async function addCustomLibrary() {
+    const alias = String($('#ember-custom-library-alias').val() || '').trim().toLowerCase();
+    const global = String($('#ember-custom-library-global').val() || '').trim();
+    const name = String($('#ember-custom-library-name').val() || '').trim();
+    const path = String($('#ember-custom-library-path').val() || '').trim().replace(/^\.?\//, '');
+    const file = $('#ember-custom-library-file').prop('files')?.[0];
+
+    if (!/^[a-z0-9][a-z0-9_-]*$/.test(alias)) throw new Error('Alias must use lowercase letters, digits, "-" or "_".');
+    if (getAllLibraries().some(libDef => libDef.alias === alias)) throw new Error(`A library with alias "${alias}" already exists.`);
+    if (!/^[A-Za-z_$][\w$]*$/.test(global)) throw new Error('Global name must be a valid JavaScript identifier.');
+    if (!!file === !!path) throw new Error('Provide either a file in the extension folder or an uploaded file.');
+    if (path && (/(^|\/)\.\.(\/|$)/.test(path) || /^[a-z]+:/i.test(path))) throw new Error('The path must stay inside the extension folder.');
+
+    const libDef = { alias, global, name: name || global };
+    if (file) {
+        await saveCustomLibrary(alias, await file.text());
+        libDef.stored = true;
+    } else {
+        libDef.path = path;
+    }
+
+    emberSettings.customLibraries = [...(emberSettings.customLibraries || []), libDef];
+    saveSettings();
+    renderLibraryList();
+    $('#ember-custom-library-form input').val('');
+    console.log(`[Ember] Added custom library "${alias}"`, libDef);
+}
+
+async function removeCustomLibrary(alias) {
+    const libDef = (emberSettings.customLibraries || []).find(lib => lib.alias === alias);
+    if (!libDef) return;
+    emberSettings.customLibraries = emberSettings.customLibraries.filter(lib => lib !== libDef);
+    saveSettings();
+    renderLibraryList();
+    await deleteCustomLibrary(alias, libDef.path ? getLibraryUrl(libDef) : undefined);
+    console.log(`[Ember] Removed custom library "${alias}"`);
+}
+
+async function renderWidgetStorageList() {
+    const list = $('#ember-storage-list');
+    if (!list.length) return;
+    let scopes;
+    try {
+        scopes = await listStorageScopes();
+    } catch (err) {
+        list.text(`Widget storage is unavailable: ${err.message}`);
+        return;
+    }
+    list.empty();
+    if (scopes.length === 0) {
+        list.append($('<div class="description"></div>').text('No widget has stored any data yet.'));
+        return;
+    }
+    for (const scope of scopes) {
+        const row = $('<div class="ember-storage-entry"></div>').attr('data-scope', scope.scopeKey);
+        row.append(
+            $('<span class="ember-storage-scope"></span>').text(describeScopeKey(scope.scopeKey)),
+            $('<small></small>').text(`${scope.keys} keys, ${(scope.size / 1024).toFixed(1)} KB`),
+            $('<i class="fa-solid fa-eye ember-storage-view interactable" title="Show stored data"></i>'),
+            $('<i class="fa-solid fa-trash ember-storage-clear interactable" title="Clear stored data"></i>'),
+        );
+        list.append(row);
+    }
+}
+
+function renderTrustedSourcesList() {
+    const list = $('#ember-trusted-list');
+    if (!list.length) return;
+    list.empty();
+    const entries = Object.entries(emberSettings.trustedSources || {});
+    if (entries.length === 0) {
+        list.append($('<div class="description"></div>').text('Nothing is trusted yet.'));
+        return;
+    }
+    for (const [trustKey, label] of entries) {
+        const kind = trustKey.startsWith('hash:') ? 'Code' : trustKey.startsWith('chat:') ? 'Chat' : trustKey.startsWith('group:') ? 'Group' : 'Character';
+        const row = $('<div class="ember-trusted-entry"></div>').attr('data-trust-key', trustKey).attr('title', trustKey);
+        row.append(
+            $('<span></span>').text(`${kind}: ${label}`),
+            $('<i class="fa-solid fa-trash ember-trusted-remove interactable" title="Stop trusting"></i>'),
+        );
+        list.append(row);
+    }
+}
+
+function renderPreflightRules() {
+    const list = $('#ember-preflight-rules');
+    if (!list.length) return;
+    list.empty();
+    for (const [rule, label] of Object.entries(PREFLIGHT_RULES)) {
+        const select = $('<select class="text_pole ember-preflight-action"></select>').attr('data-rule', rule).append(
+            $('<option value="block">Block</option>'),
+            $('<option value="warn">Warn and ask</option>'),
+            $('<option value="allow">Allow</option>'),
+        ).val(getPreflightAction(rule));
+        list.append($('<div class="ember-preflight-rule"></div>').append($('<span></span>').text(label), select));
+    }
+}
+
+function syncHealerControls() {
+    const profileSelect = $('#ember-healer-profile');
+    if (!profileSelect.length) return;
+    const profiles = listConnectionProfiles(getContext());
+    profileSelect.empty().append($('<option value=""></option>').text(profiles.length ? 'Choose a profile...' : 'No connection profiles found'));
+    for (const profile of profiles) profileSelect.append($('<option></option>').val(profile.id).text(profile.name));
+    profileSelect.val(emberSettings.healerProfileId || '');
+    $('#ember-healer-backend').val(emberSettings.healerBackend);
+    $('#ember-healer-endpoint-url').val(emberSettings.healerEndpointUrl);
+    $('#ember-healer-endpoint-key').val(emberSettings.healerEndpointKey);
+    $('#ember-healer-endpoint-model').val(emberSettings.healerEndpointModel);
+    $('#ember-healer-max-tokens').val(emberSettings.healerMaxTokens);
+    $('#ember-heal-mode').val(emberSettings.healMode);
+    $('#ember-heal-max-attempts').val(emberSettings.healMaxAttempts);
+    $('#ember-heal-error-classes').val((emberSettings.healErrorClasses || []).join(', '));
+    $('.ember-heal-attempts-row').toggle(emberSettings.healMode !== 'manual');
+    $('.ember-heal-classes-row').toggle(emberSettings.healMode === 'classes');
+    $('.ember-healer-profile-row').toggle(emberSettings.healerBackend === 'profile');
+    $('.ember-healer-endpoint-row').toggle(emberSettings.healerBackend === 'endpoint');
+}
+
+function syncIsolationControls() {
+    const overrides = emberSettings.isolationOverrides || {};
+    const characterKey = getCharacterKey();
+    const chatKey = getChatKey();
+    $('#ember-isolation-mode').val(emberSettings.isolationMode);
+    $('#ember-isolation-character').val((characterKey && overrides[characterKey]) || '').prop('disabled', !characterKey);
+    $('#ember-isolation-chat').val((chatKey && overrides[chatKey]) || '').prop('disabled', !chatKey);
+}
+
+function setIsolationOverride(key, mode) {
+    if (!key) return;
+    emberSettings.isolationOverrides = { ...(emberSettings.isolationOverrides || {}) };
+    if (mode) {
+        emberSettings.isolationOverrides[key] = mode;
+    } else {
+        delete emberSettings.isolationOverrides[key];
+    }
+}
+
 function saveSettings() {
     if (!global_extension_settings[MODULE_NAME]) global_extension_settings[MODULE_NAME] = {};
     Object.assign(global_extension_settings[MODULE_NAME], emberSettings);
@@ -1467,6 +3249,8 @@ const handleMessageRender = (id, isUser) => {
 };
 
 function processExistingMessages() {
+    // Widgets of the previous chat may still sit in the dock or float; pinned ones come back with their messages
+    removeDetachedWidgets();
     document.querySelectorAll('#chat .mes').forEach(mes => {
         const id = Number(mes.getAttribute('mesid'));
         cleanupEmberElements(id);
@@ -1556,6 +3340,184 @@ $(document).ready(async function () {
         saveSettings();
     });
 
+    $('#ember-custom-library-add').on('click', async function() {
+        try {
+            await addCustomLibrary();
+        } catch (err) {
+            console.error('[Ember] Could not add custom library:', err);
+            toastr.error(err.message, 'Ember');
+        }
+    });
+
+    $('#ember-library-list').on('click', '.ember-library-remove', function() {
+        const alias = $(this).attr('data-alias');
+        if (confirm(`Remove the Ember library "${alias}"?`)) removeCustomLibrary(alias);
+    });
+
+    $('#ember-isolation-mode').on('change', function() {
+        emberSettings.isolationMode = $(this).val();
+        saveSettings();
+        processExistingMessages();
+    });
+
+    $('#ember-isolation-character').on('change', function() {
+        setIsolationOverride(getCharacterKey(), $(this).val());
+        saveSettings();
+        processExistingMessages();
+    });
+
+    $('#ember-isolation-chat').on('change', function() {
+        setIsolationOverride(getChatKey(), $(this).val());
+        saveSettings();
+        processExistingMessages();
+    });
+
+    $('#ember-lazy-widgets').on('change', function() {
+        emberSettings.lazyWidgets = $(this).is(':checked');
+        saveSettings();
+        processExistingMessages();
+    });
+
+    $('#ember-watchdog-enabled').on('change', function() {
+        emberSettings.watchdogEnabled = $(this).is(':checked');
+        saveSettings();
+        processExistingMessages();
+    });
+
+    $('#ember-watchdog-timeout').on('change', function() {
+        const seconds = parseInt($(this).val(), 10);
+        if (!Number.isFinite(seconds) || seconds < 2) return;
+        emberSettings.watchdogTimeoutSeconds = seconds;
+        saveSettings();
+    });
+
+    $('#ember-watchdog-cpu-budget').on('change', function() {
+        const budget = parseInt($(this).val(), 10);
+        if (!Number.isFinite(budget) || budget < 0 || budget > 100) return;
+        emberSettings.watchdogCpuBudget = budget;
+        saveSettings();
+    });
+
+    $('#ember-healer-backend').on('change', function() {
+        emberSettings.healerBackend = String($(this).val());
+        saveSettings();
+        syncHealerControls();
+    });
+
+    $('#ember-healer-profile').on('change', function() {
+        emberSettings.healerProfileId = String($(this).val());
+        saveSettings();
+    });
+
+    $('#ember-healer-endpoint-url, #ember-healer-endpoint-key, #ember-healer-endpoint-model').on('change', function() {
+        emberSettings.healerEndpointUrl = String($('#ember-healer-endpoint-url').val()).trim();
+        emberSettings.healerEndpointKey = String($('#ember-healer-endpoint-key').val()).trim();
+        emberSettings.healerEndpointModel = String($('#ember-healer-endpoint-model').val()).trim();
+        saveSettings();
+    });
+
+    $('#ember-healer-max-tokens').on('change', function() {
+        const maxTokens = parseInt($(this).val(), 10);
+        if (!Number.isFinite(maxTokens) || maxTokens < 256) return;
+        emberSettings.healerMaxTokens = maxTokens;
+        saveSettings();
+    });
+
+    $('#ember-heal-mode').on('change', function() {
+        emberSettings.healMode = String($(this).val());
+        saveSettings();
+        syncHealerControls();
+    });
+
+    $('#ember-heal-max-attempts').on('change', function() {
+        const attempts = parseInt($(this).val(), 10);
+        if (!Number.isFinite(attempts) || attempts < 1) return;
+        emberSettings.healMaxAttempts = attempts;
+        saveSettings();
+    });
+
+    $('#ember-heal-error-classes').on('change', function() {
+        emberSettings.healErrorClasses = parseErrorClasses($(this).val());
+        saveSettings();
+    });
+
+    $('#ember-max-running-widgets').on('change', function() {
+        const limit = parseInt($(this).val(), 10);
+        if (!Number.isFinite(limit) || limit < 0) return;
+        emberSettings.maxRunningWidgets = limit;
+        saveSettings();
+        startQueuedWidgets();
+    });
+
+    $('#ember-widget-console-enabled').on('change', function() {
+        emberSettings.widgetConsoleEnabled = $(this).is(':checked');
+        saveSettings();
+        processExistingMessages();
+    });
+
+    $('#ember-require-consent').on('change', function() {
+        emberSettings.requireConsent = $(this).is(':checked');
+        saveSettings();
+        if (!emberSettings.requireConsent) runTrustedConsents();
+    });
+
+    $('#ember-trusted-list').on('click', '.ember-trusted-remove', function() {
+        const trustKey = $(this).closest('.ember-trusted-entry').attr('data-trust-key');
+        emberSettings.trustedSources = { ...(emberSettings.trustedSources || {}) };
+        delete emberSettings.trustedSources[trustKey];
+        saveSettings();
+        renderTrustedSourcesList();
+    });
+
+    $('#ember-preflight-rules').on('change', '.ember-preflight-action', function() {
+        emberSettings.preflightActions = { ...(emberSettings.preflightActions || {}), [$(this).attr('data-rule')]: $(this).val() };
+        saveSettings();
+        processExistingMessages();
+    });
+
+    $('#ember-network-policy').on('change', function() {
+        emberSettings.networkPolicy = $(this).val();
+        $('#ember-network-allowlist').prop('disabled', emberSettings.networkPolicy !== 'allowlist');
+        saveSettings();
+        processExistingMessages();
+    });
+
+    $('#ember-network-allowlist').on('change', function() {
+        emberSettings.networkAllowlist = normalizeAllowlist($(this).val());
+        $(this).val(emberSettings.networkAllowlist.join('\n'));
+        saveSettings();
+        processExistingMessages();
+    });
+
+    $('#ember-storage-quota').on('input', function() {
+        const quotaKb = parseInt($(this).val(), 10);
+        if (!Number.isFinite(quotaKb) || quotaKb < 1) return;
+        emberSettings.widgetStorageQuotaKb = quotaKb;
+        saveSettings();
+    });
+
+    $('#ember-storage-refresh').on('click', renderWidgetStorageList);
+
+    $('#ember-storage-list').on('click', '.ember-storage-view', async function() {
+        const row = $(this).closest('.ember-storage-entry');
+        const existing = row.next('.ember-storage-data');
+        if (existing.length) { existing.remove(); return; }
+        const data = await readStorageScope(row.attr('data-scope'));
+        row.after($('<pre class="ember-storage-data"></pre>').text(JSON.stringify(data, null, 2)));
+    });
+
+    $('#ember-storage-list').on('click', '.ember-storage-clear', async function() {
+        const scopeKey = $(this).closest('.ember-storage-entry').attr('data-scope');
+        if (!confirm(`Delete all Ember widget data stored for ${describeScopeKey(scopeKey)}?`)) return;
+        await clearStorageScope(scopeKey);
+        renderWidgetStorageList();
+    });
+
+    $('#ember-library-cache-clear').on('click', async function() {
+        await clearLibraryCache();
+        toastr.info('Ember library cache cleared.');
+    });
+
     eventSource.on(event_types.USER_MESSAGE_RENDERED, (id) => handleMessageRender(id, true));
     eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, (id) => handleMessageRender(id, false));
     eventSource.on(event_types.MESSAGE_EDITED, (id) => {
@@ -1564,24 +3526,109 @@ $(document).ready(async function () {
         if (msg) handleMessageRender(id, msg.is_user);
     });
     eventSource.on(event_types.CHAT_LOADED, processExistingMessages);
+    eventSource.on(event_types.CHAT_CHANGED, syncIsolationControls);
     eventSource.on(event_types.CHAT_CHANGED, (data) => {
          if (data?.type === 'new') {
              data.ids.forEach(id => { const msg = getContext().chat[id]; if(msg) handleMessageRender(id, msg.is_user); });
          } else if (!data || !data?.type) {
+             healRecords.clear();
              processExistingMessages();
          }
      });
 
+    $(document).on('click', '.ember-watchdog-notice [data-watchdog-action="rerender"]', function() {
+        const messageId = Number(this.closest('.ember-watchdog-notice').dataset.messageId);
+        cleanupEmberElements(messageId);
+        handleMessageRender(messageId, !!getContext().chat[messageId]?.is_user);
+    });
+
+    $(document).on('click', '.ember-widget-toolbar [data-widget-action], .ember-widget-placeholder [data-widget-action], .ember-watchdog-notice [data-widget-action]', async function(event) {
+        event.stopPropagation();
+        const action = $(this).attr('data-widget-action');
+        const finalContainer = this.closest('.ember-container') || this.closest('.ember-widget-placeholder')?.emberContainer;
+        if (!finalContainer || action === 'drag') return;
+        try {
+            await handleWidgetAction(finalContainer, action);
+        } catch (err) {
+            console.error(`[Ember] Widget action "${action}" failed:`, err);
+            toastr.error(err.message, 'Ember');
+        }
+    });
+
+    $(document).on('click', '.ember-syntax-error [data-syntax-action="heal"]', function() {
+        const { messageId, target, summary, location } = this.closest('.ember-syntax-error').emberHeal;
+        attemptSelfHeal(messageId, target, summary, location);
+    });
+
+    $(document).on('click', '.ember-html-debug [data-html-action]', function() {
+        const notice = this.closest('.ember-html-debug');
+        const { messageId, html, problems } = notice.emberHtml;
+        if (this.dataset.htmlAction === 'history') {
+            toggleVersionHistory(notice.querySelector('.ember-html-debug-header'), messageId, 'html');
+        } else {
+            attemptHtmlHeal(messageId, html, problems, notice);
+        }
+    });
+
+    $(document).on('click', '.ember-heal-proposal [data-heal-action]', async function() {
+        const action = this.dataset.healAction;
+        try {
+            await handleHealProposalAction(this.closest('.ember-heal-proposal'), action);
+        } catch (err) {
+            console.error(`[Ember Self-Heal] Proposal action "${action}" failed:`, err);
+            toastr.error(err.message, 'Ember');
+        }
+    });
+
+    $(document).on('click', '.ember-version-list [data-version-index]', function(event) {
+        event.stopPropagation();
+        const { messageId, blockKey } = this.closest('.ember-version-list').emberVersions;
+        try {
+            restoreBlockVersion(messageId, blockKey, Number(this.dataset.versionIndex));
+        } catch (err) {
+            console.error('[Ember Self-Heal] Restoring version failed:', err);
+            toastr.error(err.message, 'Ember');
+        }
+    });
+
+    $(document).on('pointerdown', '.ember-floating [data-widget-action="drag"]', function(event) {
+        event.preventDefault();
+        startWidgetDrag(this.closest('.ember-container'), event);
+    });
+
+    // Fullscreen widgets lift the frame's own height limits
+    document.addEventListener('fullscreenchange', () => {
+        for (const frameInfo of emberFrames.values()) {
+            const container = frameInfo.iframe?.closest('.ember-container');
+            if (container) frameInfo.port?.postMessage({ type: 'ember-fullscreen', active: document.fullscreenElement === container });
+        }
+    });
+
+    setInterval(runWatchdog, HEARTBEAT_INTERVAL_MS);
+
     $(document).on('click', '.ember-heal-button', function() {
         const messageId = $(this).closest('.mes').attr('mesid');
-        const codeElement = document.querySelector(`.mes[mesid="${messageId}"] .mes_text pre[data-ember-processed="true"] > code`);
+        const codeElement = document.querySelector(`.mes[mesid="${messageId}"] .mes_text pre[data-ember-error-location] > code`)
+            || document.querySelector(`.mes[mesid="${messageId}"] .mes_text pre[data-ember-processed="syntax-error"] > code`)
+            || document.querySelector(`.mes[mesid="${messageId}"] .mes_text pre[data-ember-processed="true"] > code`);
+        const syntaxBadge = document.querySelector(`.mes[mesid="${messageId}"] .mes_text .ember-syntax-error`);
+        const htmlFrame = document.querySelector(`.mes[mesid="${messageId}"] .mes_text .ember-generic-html-iframe`);
         const errorMessageElement = $(this).closest('.mes').find('.ember-loading-container[style*="color: var(--text-color-error)"]');
-        const errorMessage = errorMessageElement.length > 0 ? errorMessageElement.text().replace('Ember JS Error:', '').trim() : 'Manual heal requested.';
+        const errorMessage = codeElement?.parentElement.dataset.emberErrorMessage
+            || (errorMessageElement.length > 0 ? errorMessageElement.text().replace('Ember JS Error:', '').trim() : 'Manual heal requested.');
 
         if (codeElement) {
-             attemptSelfHeal(messageId, codeElement, errorMessage);
+             const [line, column] = (codeElement.parentElement.dataset.emberErrorLocation || '').split(':').map(Number);
+             attemptSelfHeal(messageId, getCodeBlockHealTarget(messageId, codeElement), errorMessage, line ? { line, column } : null);
+        } else if (syntaxBadge?.emberHeal) {
+            const { target, summary, location } = syntaxBadge.emberHeal;
+            attemptSelfHeal(messageId, target, summary, location);
+        } else if (htmlFrame && emberFrames.has(htmlFrame.dataset.frameId)) {
+            const frameInfo = emberFrames.get(htmlFrame.dataset.frameId);
+            const anchor = htmlFrame.parentElement.querySelector(`.ember-html-debug[data-frame-id="${htmlFrame.dataset.frameId}"]`) || htmlFrame;
+            attemptHtmlHeal(messageId, frameInfo.html, frameInfo.problems, anchor);
         } else {
-            alert('Ember: No active Ember JS code block (with frontmatter) found in this message to heal.');
+            alert('Ember: No Ember JS code block or rendered HTML found in this message to heal.');
         }
     });
 
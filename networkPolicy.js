@@ -0,0 +1,149 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 AI Assistant & User Collaborator
+// Network Policy Module - Content Security Policy and request guards for sandboxed frames
+
+/**
+ * Normalizes allowlist entries to bare host patterns (`example.com`, `*.example.com`)
+ * @param {string[]|string} allowlist - Domains, one per entry or line; URLs are reduced to their host
+ * @returns {string[]} Host patterns
+ */
+export function normalizeAllowlist(allowlist) {
+    const entries = Array.isArray(allowlist) ? allowlist : String(allowlist || '').split(/[\s,]+/);
+    const hosts = entries
+        .map(entry => String(entry).trim().toLowerCase())
+        .filter(Boolean)
+        .map(entry => entry.replace(/^[a-z]+:\/\//, '').replace(/[/?#].*$/, '').replace(/:\d+$/, ''))
+        .filter(entry => /^(\*\.)?[a-z0-9.-]+$/.test(entry));
+    return [...new Set(hosts)];
+}
+
+/**
+ * Builds the CSP for a frame document. Allowlisted hosts are allowed over http and https, as in
+ * the request guard from buildNetworkGuardScript.
+ * @param {string} policy - 'block', 'allowlist' or 'allow'
+ * @param {string[]} allowlist - Host patterns allowed in 'allowlist' mode
+ * @param {string[]} [extraOrigins] - Origins scripts, styles, images, media and fonts may always load from (e.g. the extension's own origin)
+ * @returns {string|null} Policy string, or null when the network is not restricted
+ */
+export function buildContentSecurityPolicy(policy, allowlist, extraOrigins = []) {
+    if (policy === 'allow') return null;
+    const hosts = policy === 'allowlist' ? allowlist.map(host => `http://${host} https://${host}`).join(' ') : '';
+    const sockets = policy === 'allowlist' ? allowlist.map(host => `ws://${host} wss://${host}`).join(' ') : '';
+    const local = `data: blob: ${extraOrigins.join(' ')}`.trim();
+    return [
+        `default-src 'none'`,
+        `script-src 'unsafe-inline' 'unsafe-eval' ${local} ${hosts}`.trim(),
+        `style-src 'unsafe-inline' ${local} ${hosts}`.trim(),
+        `img-src ${local} ${hosts}`.trim(),
+        `media-src ${local} ${hosts}`.trim(),
+        `font-src ${local} ${hosts}`.trim(),
+        `connect-src ${`${hosts} ${sockets}`.trim() || "'none'"}`,
+        `frame-src ${hosts || "'none'"}`,
+        `worker-src blob:`,
+        `form-action 'none'`,
+    ].join('; ');
+}
+
+/**
+ * Builds the `<meta>` tag carrying the CSP, or an empty string when unrestricted
+ * @param {string} policy - 'block', 'allowlist' or 'allow'
+ * @param {string[]} allowlist - Host patterns
+ * @param {string[]} [extraOrigins] - Origins the frame may always load scripts and assets from
+ * @returns {string} HTML
+ */
+export function buildCspMetaTag(policy, allowlist, extraOrigins = []) {
+    const csp = buildContentSecurityPolicy(policy, allowlist, extraOrigins);
+    return csp ? `<meta http-equiv="Content-Security-Policy" content="${csp.replace(/"/g, '&quot;')}">` : '';
+}
+
+/**
+ * Builds the in-frame script that wraps fetch, XMLHttpRequest, WebSocket, sendBeacon and image
+ * sources so blocked requests fail immediately with a readable error, and cancels navigation of the
+ * frame to blocked URLs where the browser supports the Navigation API. Expects `bridge` in scope;
+ * blocked attempts (including ones only the CSP catches) are reported as `ember-network-blocked`.
+ * @param {string} policy - 'block', 'allowlist' or 'allow'
+ * @param {string[]} allowlist - Host patterns
+ * @returns {string} JavaScript source, empty when unrestricted
+ */
+export function buildNetworkGuardScript(policy, allowlist) {
+    if (policy === 'allow') return '';
+    return `
+        (()=>{
+            const policy = ${JSON.stringify(policy)};
+            const allowlist = ${JSON.stringify(allowlist)};
+            const reported = new Set();
+            const hostAllowed = host => allowlist.some(p => p.startsWith("*.") ? host.endsWith(p.slice(1)) : host === p);
+            const isAllowed = raw => {
+                let url;
+                try { url = new URL(String(raw), document.baseURI); } catch (_) { return true; }
+                if (["data:", "blob:", "about:", "javascript:"].includes(url.protocol)) return true;
+                return policy === "allowlist" && hostAllowed(url.hostname);
+            };
+            const report = raw => {
+                const key = String(raw).slice(0, 300);
+                if (reported.has(key)) return;
+                reported.add(key);
+                let host = key;
+                try { host = new URL(key, document.baseURI).hostname || key; } catch (_) {}
+                bridge.send({ type: "ember-network-blocked", url: key, host, policy });
+            };
+            const blockedError = raw => new TypeError("Ember network policy blocked a request to " + raw);
+
+            const originalFetch = window.fetch;
+            window.fetch = function(input, init) {
+                const raw = input && input.url ? input.url : input;
+                if (!isAllowed(raw)) { report(raw); return Promise.reject(blockedError(raw)); }
+                return originalFetch.call(this, input, init);
+            };
+
+            const originalOpen = XMLHttpRequest.prototype.open;
+            XMLHttpRequest.prototype.open = function(method, raw, ...rest) {
+                if (!isAllowed(raw)) { report(raw); throw blockedError(raw); }
+                return originalOpen.call(this, method, raw, ...rest);
+            };
+
+            if (window.WebSocket) {
+                const OriginalWebSocket = window.WebSocket;
+                window.WebSocket = function(raw, protocols) {
+                    const httpUrl = String(raw).replace(/^ws/, "http");
+                    if (!isAllowed(httpUrl)) { report(raw); throw blockedError(raw); }
+                    return new OriginalWebSocket(raw, protocols);
+                };
+                window.WebSocket.prototype = OriginalWebSocket.prototype;
+            }
+
+            if (navigator.sendBeacon) {
+                const originalBeacon = navigator.sendBeacon.bind(navigator);
+                navigator.sendBeacon = (raw, data) => {
+                    if (!isAllowed(raw)) { report(raw); return false; }
+                    return originalBeacon(raw, data);
+                };
+            }
+
+            const srcDescriptor = Object.getOwnPropertyDescriptor(HTMLImageElement.prototype, "src");
+            if (srcDescriptor && srcDescriptor.set) {
+                Object.defineProperty(HTMLImageElement.prototype, "src", {
+                    ...srcDescriptor,
+                    set(raw) {
+                        if (!isAllowed(raw)) report(raw);
+                        srcDescriptor.set.call(this, raw);
+                    }
+                });
+            }
+
+            // The frame navigating itself would carry data out in its URL, which no CSP directive stops.
+            // Only browsers with the Navigation API can cancel that.
+            if (window.navigation) {
+                navigation.addEventListener("navigate", ev => {
+                    if (ev.destination.sameDocument || !ev.cancelable || isAllowed(ev.destination.url)) return;
+                    ev.preventDefault();
+                    report(ev.destination.url);
+                });
+            }
+
+            // Anything the wrappers cannot see (CSS, <audio>, markup) is still stopped by the CSP
+            document.addEventListener("securitypolicyviolation", ev => {
+                if (ev.blockedURI && !["inline", "eval"].includes(ev.blockedURI)) report(ev.blockedURI);
+            });
+        })();`;
+}
@@ -0,0 +1,260 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 AI Assistant & User Collaborator
+// Preflight Module - Static analysis of widget code before a sandbox frame is created
+
+import { parse } from './lib/acorn.v8.18.0.js';
+import { ancestor } from './lib/acorn-walk.v8.3.5.js';
+
+/**
+ * Rules the analyzer knows, with the label shown in the settings panel
+ */
+export const PREFLIGHT_RULES = {
+    'frame-access': 'Reaching outside the frame (parent, top, opener, frameElement)',
+    'cookie-access': 'Reading or writing document.cookie',
+    'storage-access': 'Browser storage (localStorage, sessionStorage, indexedDB)',
+    'dynamic-eval': 'Running strings as code (eval, Function, string timers)',
+    'infinite-loop': 'Endless loops without await, break or return',
+    'unknown-host': 'Network requests to hosts outside the allowlist',
+};
+
+const GLOBAL_OBJECTS = new Set(['window', 'self', 'globalThis']);
+const FRAME_GLOBALS = new Set(['parent', 'top', 'opener', 'frameElement']);
+const STORAGE_GLOBALS = new Set(['localStorage', 'sessionStorage', 'indexedDB']);
+const URL_PATTERN = /\b(?:https?|wss?):\/\/([a-z0-9.-]+)/gi;
+
+/**
+ * Parses widget code the way Ember runs it: as an async function body (top-level return and await are
+ * accepted), or as an ES module when it uses `import`/`export` declarations
+ * @param {string} code - JavaScript source
+ * @returns {Object} ESTree Program node with locations; `sourceType` is 'module' for module code
+ * @throws {SyntaxError} With `loc` ({line, column}) when the code does not parse either way
+ */
+export function parseWidgetCode(code) {
+    try {
+        return parse(code, {
+            ecmaVersion: 'latest',
+            sourceType: 'script',
+            allowReturnOutsideFunction: true,
+            allowAwaitOutsideFunction: true,
+            locations: true,
+        });
+    } catch (scriptError) {
+        try {
+            return parse(code, { ecmaVersion: 'latest', sourceType: 'module', locations: true });
+        } catch (moduleError) {
+            // Report whichever parse got further; it is the one that understood the code
+            throw moduleError.pos > scriptError.pos ? moduleError : scriptError;
+        }
+    }
+}
+
+/**
+ * True when the code has to run as an ES module (it has `import` or `export` declarations)
+ * @param {string} code - JavaScript source
+ * @returns {boolean} False for plain scripts and for code that does not parse
+ */
+export function isModuleCode(code) {
+    try {
+        return parseWidgetCode(code).sourceType === 'module';
+    } catch (_) {
+        return false;
+    }
+}
+
+/**
+ * Describes a parse error thrown by parseWidgetCode
+ * @param {SyntaxError} error - Parser error with `loc` and `raisedAt`
+ * @param {string} code - The code that failed to parse
+ * @returns {{message: string, line: number, column: number, truncated: boolean}} Message without the position suffix,
+ *          1-based line and column in `code`, and whether the parser ran out of input (code cut off mid-block)
+ */
+export function describeSyntaxError(error, code) {
+    return {
+        message: String(error.message).replace(/\s*\(\d+:\d+\)$/, ''),
+        line: error.loc?.line ?? 1,
+        column: (error.loc?.column ?? 0) + 1,
+        truncated: (error.raisedAt ?? error.pos ?? 0) >= code.trimEnd().length,
+    };
+}
+
+/**
+ * Collects every name the code declares anywhere, so `const parent = ...` is not mistaken for window.parent
+ * @param {Object} ast - Program node
+ * @returns {Set<string>} Declared names
+ */
+function collectDeclaredNames(ast) {
+    const names = new Set();
+    const addPattern = (pattern) => {
+        if (!pattern) return;
+        switch (pattern.type) {
+            case 'Identifier': names.add(pattern.name); break;
+            case 'ObjectPattern': pattern.properties.forEach(prop => addPattern(prop.type === 'RestElement' ? prop.argument : prop.value)); break;
+            case 'ArrayPattern': pattern.elements.forEach(addPattern); break;
+            case 'RestElement': addPattern(pattern.argument); break;
+            case 'AssignmentPattern': addPattern(pattern.left); break;
+        }
+    };
+    const addFunction = (node) => {
+        if (node.id) names.add(node.id.name);
+        node.params.forEach(addPattern);
+    };
+    ancestor(ast, {
+        VariableDeclarator: node => addPattern(node.id),
+        FunctionDeclaration: addFunction,
+        FunctionExpression: addFunction,
+        ArrowFunctionExpression: addFunction,
+        ClassDeclaration: node => node.id && names.add(node.id.name),
+        CatchClause: node => addPattern(node.param),
+        ImportSpecifier: node => names.add(node.local.name),
+        ImportDefaultSpecifier: node => names.add(node.local.name),
+        ImportNamespaceSpecifier: node => names.add(node.local.name),
+    });
+    return names;
+}
+
+function isGlobalReference(node, declared) {
+    return node?.type === 'Identifier' && !declared.has(node.name);
+}
+
+function memberName(node) {
+    if (node.type !== 'MemberExpression') return null;
+    if (!node.computed && node.property.type === 'Identifier') return node.property.name;
+    if (node.computed && node.property.type === 'Literal') return String(node.property.value);
+    return null;
+}
+
+function isStringLike(node) {
+    return node && ((node.type === 'Literal' && typeof node.value === 'string') || node.type === 'TemplateLiteral' || node.type === 'BinaryExpression');
+}
+
+/**
+ * True when a loop body can never hand control back: no await, yield, break, return or throw
+ * outside of nested functions. Breaks inside nested loops are counted too, which errs on the quiet side.
+ */
+function loopCanExit(body) {
+    let canExit = false;
+    const visit = (node) => {
+        if (!node || typeof node.type !== 'string' || canExit) return;
+        if (['AwaitExpression', 'YieldExpression', 'BreakStatement', 'ReturnStatement', 'ThrowStatement'].includes(node.type)) {
+            canExit = true;
+            return;
+        }
+        if (['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'ClassBody'].includes(node.type)) return;
+        for (const value of Object.values(node)) {
+            if (Array.isArray(value)) value.forEach(visit);
+            else if (value && typeof value === 'object') visit(value);
+        }
+    };
+    visit(body);
+    return canExit;
+}
+
+function isAlwaysTrue(test) {
+    return !test || (test.type === 'Literal' && !!test.value);
+}
+
+/**
+ * Analyzes widget code for risky patterns
+ * @param {string} code - JavaScript source (frontmatter already removed)
+ * @param {Object} [options]
+ * @param {string} [options.networkPolicy] - 'block', 'allowlist' or 'allow'
+ * @param {string[]} [options.allowlist] - Allowed host patterns
+ * @param {number} [options.lineOffset] - Lines removed above the code (e.g. frontmatter), added to reported lines
+ * @returns {{findings: Array<{rule: string, message: string, line: number, column: number}>, syntaxError: SyntaxError|null}}
+ */
+export function analyzeWidgetCode(code, { networkPolicy = 'allow', allowlist = [], lineOffset = 0 } = {}) {
+    let ast;
+    try {
+        ast = parseWidgetCode(code);
+    } catch (syntaxError) {
+        return { findings: [], syntaxError };
+    }
+
+    const declared = collectDeclaredNames(ast);
+    const findings = [];
+    const seen = new Set();
+    const report = (rule, node, message) => {
+        const line = node.loc.start.line + lineOffset;
+        const key = `${rule}:${line}:${message}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        findings.push({ rule, message, line, column: node.loc.start.column + 1 });
+    };
+
+    const checkGlobalName = (name, node) => {
+        if (FRAME_GLOBALS.has(name)) report('frame-access', node, `accesses \`${name}\`, which reaches outside the widget frame`);
+        if (STORAGE_GLOBALS.has(name)) report('storage-access', node, `uses \`${name}\`; use ember.storage or ember.state instead`);
+    };
+
+    const hostAllowed = host => networkPolicy === 'allow'
+        || (networkPolicy === 'allowlist' && allowlist.some(p => p.startsWith('*.') ? host.endsWith(p.slice(1)) : host === p));
+    const checkUrls = (text, node) => {
+        for (const match of text.matchAll(URL_PATTERN)) {
+            const host = match[1].toLowerCase();
+            if (!hostAllowed(host)) report('unknown-host', node, `references ${host}, which the network policy will block`);
+        }
+    };
+
+    ancestor(ast, {
+        Identifier(node, ancestors) {
+            const parentNode = ancestors[ancestors.length - 2];
+            // Identifiers used as `window.x` are handled by MemberExpression
+            if (parentNode?.type === 'MemberExpression' && parentNode.property === node && !parentNode.computed) return;
+            if (!declared.has(node.name)) checkGlobalName(node.name, node);
+        },
+        MemberExpression(node) {
+            const name = memberName(node);
+            if (!name) return;
+            if (isGlobalReference(node.object, declared) && GLOBAL_OBJECTS.has(node.object.name)) checkGlobalName(name, node);
+            if (name === 'cookie' && isGlobalReference(node.object, declared) && node.object.name === 'document') {
+                report('cookie-access', node, 'accesses `document.cookie`');
+            }
+        },
+        CallExpression(node) {
+            const callee = node.callee;
+            const calleeName = callee.type === 'Identifier' ? callee.name
+                : GLOBAL_OBJECTS.has(callee.object?.name) ? memberName(callee) : null;
+            if (!calleeName || declared.has(callee.name)) return;
+            const [firstArg] = node.arguments;
+            if (calleeName === 'eval' && firstArg && !(firstArg.type === 'Literal')) {
+                report('dynamic-eval', node, 'calls `eval` on a value built at runtime (e.g. fetched text)');
+            } else if (calleeName === 'Function') {
+                report('dynamic-eval', node, 'builds a function from a string with `Function`');
+            } else if (['setTimeout', 'setInterval'].includes(calleeName) && isStringLike(firstArg)) {
+                report('dynamic-eval', node, `passes a string to \`${calleeName}\`, which runs it as code`);
+            }
+        },
+        NewExpression(node) {
+            if (isGlobalReference(node.callee, declared) && node.callee.name === 'Function') {
+                report('dynamic-eval', node, 'builds a function from a string with `new Function`');
+            }
+        },
+        WhileStatement(node) {
+            if (isAlwaysTrue(node.test) && !loopCanExit(node.body)) report('infinite-loop', node, '`while (true)` never awaits, breaks or returns and will freeze the widget');
+        },
+        DoWhileStatement(node) {
+            if (isAlwaysTrue(node.test) && !loopCanExit(node.body)) report('infinite-loop', node, '`do ... while (true)` never awaits, breaks or returns and will freeze the widget');
+        },
+        ForStatement(node) {
+            if (isAlwaysTrue(node.test) && !loopCanExit(node.body)) report('infinite-loop', node, '`for (;;)` never awaits, breaks or returns and will freeze the widget');
+        },
+        Literal(node) {
+            if (typeof node.value === 'string') checkUrls(node.value, node);
+        },
+        TemplateElement(node) {
+            checkUrls(node.value.cooked ?? node.value.raw, node);
+        },
+    });
+
+    findings.sort((a, b) => a.line - b.line || a.column - b.column);
+    return { findings, syntaxError: null };
+}
+
+/**
+ * Formats findings as plain text lines, e.g. for the self-heal prompt
+ * @param {Array<{rule: string, message: string, line: number}>} findings - Analyzer findings
+ * @returns {string} One finding per line
+ */
+export function formatFindings(findings) {
+    return findings.map(finding => `- Line ${finding.line}: ${finding.message} [${finding.rule}]`).join('\n');
+}
@@ -0,0 +1,128 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 AI Assistant & User Collaborator
+// Source Location Module - Maps positions in executed widget code back to the original code block
+
+/**
+ * sourceURL given to executed widget code, so stack frames can be told apart from library and Ember code
+ */
+export const WIDGET_SOURCE_URL = 'ember-widget.js';
+
+const STACK_LOCATION_REGEX = /ember-widget\.js:(\d+):(\d+)/g;
+const SOURCE_VIEW_CONTEXT = 4;
+
+function decodeEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .replace(/&quot;/g, '"')
+        .replace(/&#x27;/g, "'")
+        .replace(/&#39;/g, "'")
+        .replace(/&nbsp;/g, ' ');
+}
+
+/**
+ * Aligns code extracted from a larger block (e.g. `<script>` contents of an HTML block) with the block's lines
+ * @param {string} original - Full block text
+ * @param {string} extracted - Code taken from it, with lines kept in order
+ * @returns {number[]|null} 1-based block line for each extracted line, or null when nothing was extracted
+ */
+export function buildLineMap(original, extracted) {
+    if (original === extracted) return null;
+    const originalLines = original.split('\n').map(line => decodeEntities(line).trim());
+    let pointer = 0;
+    return extracted.split('\n').map(line => {
+        const text = line.trim();
+        if (!text) {
+            if (originalLines[pointer] === '') pointer++;
+            return Math.min(pointer, originalLines.length - 1) + 1;
+        }
+        for (let i = pointer; i < originalLines.length; i++) {
+            if (originalLines[i] === text || originalLines[i].includes(text)) {
+                pointer = i + 1;
+                return i + 1;
+            }
+        }
+        return Math.min(pointer, originalLines.length - 1) + 1;
+    });
+}
+
+/**
+ * Maps a line/column in the executed function to the original block
+ * @param {Object} source - `{ start, lineOffset, lineMap }`: first line of user code in the generated function,
+ *                          lines stripped before the body (frontmatter), and the optional extraction map
+ * @param {number} line - Line reported by the stack frame
+ * @param {number} column - Column reported by the stack frame
+ * @returns {{line: number, column: number}|null} Location in the block, or null when outside the user code
+ */
+export function mapGeneratedPosition(source, line, column) {
+    if (!source?.start) return null;
+    const bodyLine = line - source.start + 1;
+    if (bodyLine < 1) return null;
+    const codeLine = bodyLine + (source.lineOffset || 0);
+    const blockLine = source.lineMap ? source.lineMap[codeLine - 1] : codeLine;
+    return blockLine ? { line: blockLine, column } : null;
+}
+
+/**
+ * Finds the innermost stack frame in user code
+ * @param {Object} source - See mapGeneratedPosition
+ * @param {string} text - Error message with stack
+ * @returns {{line: number, column: number}|null}
+ */
+export function findErrorLocation(source, text) {
+    for (const match of String(text).matchAll(STACK_LOCATION_REGEX)) {
+        const location = mapGeneratedPosition(source, Number(match[1]), Number(match[2]));
+        if (location) return location;
+    }
+    return null;
+}
+
+/**
+ * Rewrites `ember-widget.js:L:C` stack locations into block locations
+ * @param {Object} source - See mapGeneratedPosition
+ * @param {string} text - Text containing stack frames
+ * @param {string} label - What the location refers to, e.g. "code block"
+ * @returns {string} Rewritten text
+ */
+export function rewriteStackLocations(source, text, label) {
+    return String(text).replace(STACK_LOCATION_REGEX, (match, line, column) => {
+        const location = mapGeneratedPosition(source, Number(line), Number(column));
+        return location ? `${label} line ${location.line}:${location.column}` : match;
+    });
+}
+
+/**
+ * Renders the lines around a location, with the failing line highlighted
+ * @param {string} text - Full block text
+ * @param {number} line - 1-based line to highlight
+ * @param {number} [column] - 1-based column, marked with a caret
+ * @returns {HTMLPreElement} Source view element
+ */
+export function buildSourceView(text, line, column) {
+    const lines = text.split('\n');
+    const first = Math.max(1, line - SOURCE_VIEW_CONTEXT);
+    const last = Math.min(lines.length, line + SOURCE_VIEW_CONTEXT);
+    const width = String(last).length;
+    const view = document.createElement('pre');
+    view.className = 'ember-source-view';
+    for (let number = first; number <= last; number++) {
+        const row = document.createElement('div');
+        row.className = number === line ? 'ember-source-line ember-source-error' : 'ember-source-line';
+        row.append(
+            Object.assign(document.createElement('span'), { className: 'ember-source-lineno', textContent: String(number).padStart(width, ' ') }),
+            Object.assign(document.createElement('span'), { className: 'ember-source-text', textContent: lines[number - 1] }),
+        );
+        view.appendChild(row);
+        if (number === line && column > 0) {
+            const caret = document.createElement('div');
+            caret.className = 'ember-source-line ember-source-caret';
+            caret.append(
+                Object.assign(document.createElement('span'), { className: 'ember-source-lineno', textContent: ' '.repeat(width) }),
+                Object.assign(document.createElement('span'), { className: 'ember-source-text', textContent: `${' '.repeat(column - 1)}^` }),
+            );
+            view.appendChild(caret);
+        }
+    }
+    return view;
+}
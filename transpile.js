@@ -0,0 +1,52 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 AI Assistant & User Collaborator
+// Transpile Module - Turns TypeScript and JSX widget blocks into plain JavaScript before sandboxing
+
+const LANGUAGE_CLASS_REGEX = /\blang(?:uage)?-(typescript|ts|tsx|jsx)\b/;
+
+const TRANSFORMS = {
+    ts: ['typescript'],
+    tsx: ['typescript', 'jsx'],
+    jsx: ['jsx'],
+};
+
+/**
+ * Finds the source language of a code block from its highlight class (`language-tsx`, `lang-ts`, ...)
+ * @param {string} className - Class attribute of the `<code>` element
+ * @returns {'ts'|'tsx'|'jsx'|null} Language that needs transpiling, or null for plain JavaScript
+ */
+export function getTranspileLanguage(className) {
+    const match = String(className || '').match(LANGUAGE_CLASS_REGEX);
+    if (!match) return null;
+    return match[1] === 'typescript' ? 'ts' : match[1];
+}
+
+/**
+ * True when the language produces JSX, which needs the bundled Preact runtime
+ * @param {string|null} language - From getTranspileLanguage
+ * @returns {boolean}
+ */
+export function usesJsx(language) {
+    return language === 'tsx' || language === 'jsx';
+}
+
+/**
+ * Strips types and compiles JSX to `preact.h` calls. Line numbers are kept, so error locations
+ * in the output are also locations in the original code. Sucrase is loaded on first use, so
+ * chats without TypeScript or JSX blocks never fetch it.
+ * @param {string} code - TypeScript or JSX source (frontmatter already removed)
+ * @param {'ts'|'tsx'|'jsx'} language - Source language
+ * @returns {Promise<string>} JavaScript source
+ * @throws {SyntaxError} With `loc` ({line, column}, 1-based column) when the code does not parse
+ */
+export async function transpileWidgetCode(code, language) {
+    const { transform } = await import('./lib/sucrase.v3.35.1.js');
+    return transform(code, {
+        transforms: TRANSFORMS[language],
+        jsxRuntime: 'classic',
+        jsxPragma: 'preact.h',
+        jsxFragmentPragma: 'preact.Fragment',
+        production: true,
+        disableESTransforms: true,
+    }).code;
+}
@@ -0,0 +1,85 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 AI Assistant & User Collaborator
+// Watchdog Module - Heartbeats from sandbox frames and the checks that decide when a frame is stuck
+
+export const HEARTBEAT_INTERVAL_MS = 1000;
+// How long a frame may stay over its CPU budget before it is stopped
+const CPU_SUSTAIN_MS = 10000;
+
+/**
+ * Builds the in-frame script that sends an `ember-heartbeat` every second with the share of time spent
+ * in long tasks (`busy`, 0-1, null where the browser has no long-task timing) and the frame rate
+ * (`fps`, null while the frame is not painting). Expects `bridge` in scope.
+ * @returns {string} JavaScript source
+ */
+export function buildHeartbeatScript() {
+    return `
+        (()=>{
+            const interval = ${HEARTBEAT_INTERVAL_MS};
+            let blocked = 0;
+            let frames = 0;
+            let measuresCpu = false;
+            try {
+                new PerformanceObserver(list => { for (const entry of list.getEntries()) blocked += entry.duration; })
+                    .observe({ type: "longtask", buffered: false });
+                measuresCpu = PerformanceObserver.supportedEntryTypes.includes("longtask");
+            } catch (_) {}
+            const countFrame = () => { frames++; requestAnimationFrame(countFrame); };
+            requestAnimationFrame(countFrame);
+            let last = performance.now();
+            setInterval(() => {
+                const now = performance.now();
+                const elapsed = Math.max(now - last, 1);
+                bridge.send({
+                    type: "ember-heartbeat",
+                    busy: measuresCpu ? Math.min(1, blocked / elapsed) : null,
+                    fps: frames > 0 ? Math.round(frames * 1000 / elapsed) : null,
+                });
+                blocked = 0;
+                frames = 0;
+                last = now;
+            }, interval);
+        })();`;
+}
+
+/**
+ * Creates the host-side record for a frame; the unresponsive timeout counts from now until the first beat
+ * @param {number} now - Current time in ms
+ * @returns {Object} Monitor
+ */
+export function createMonitor(now) {
+    return { lastBeat: now, busy: null, fps: null, overBudgetSince: null };
+}
+
+/**
+ * Records a heartbeat
+ * @param {Object} monitor - From createMonitor
+ * @param {{busy: number|null, fps: number|null}} beat - Heartbeat data
+ * @param {number} now - Current time in ms
+ * @param {number} cpuBudget - Allowed busy share in percent, 0 for no limit
+ */
+export function recordHeartbeat(monitor, beat, now, cpuBudget) {
+    monitor.lastBeat = now;
+    monitor.busy = typeof beat.busy === 'number' ? beat.busy : null;
+    monitor.fps = typeof beat.fps === 'number' ? beat.fps : null;
+    const overBudget = cpuBudget > 0 && monitor.busy !== null && monitor.busy * 100 > cpuBudget;
+    if (!overBudget) monitor.overBudgetSince = null;
+    else if (monitor.overBudgetSince === null) monitor.overBudgetSince = now;
+}
+
+/**
+ * Decides whether a frame should be stopped
+ * @param {Object} monitor - From createMonitor
+ * @param {number} now - Current time in ms
+ * @param {{timeoutMs: number}} limits - Time without a heartbeat after which the frame counts as frozen
+ * @returns {string|null} Reason for stopping, or null when the frame is healthy
+ */
+export function checkMonitor(monitor, now, { timeoutMs }) {
+    const silence = now - monitor.lastBeat;
+    if (silence > timeoutMs) return `unresponsive (no heartbeat for ${Math.round(silence / 1000)} s)`;
+    if (monitor.overBudgetSince !== null && now - monitor.overBudgetSince >= CPU_SUSTAIN_MS) {
+        const fps = monitor.fps !== null ? ` at ${monitor.fps} fps` : '';
+        return `over CPU budget (${Math.round(monitor.busy * 100)}% busy${fps} for ${Math.round((now - monitor.overBudgetSince) / 1000)} s)`;
+    }
+    return null;
+}
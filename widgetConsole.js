@@ -0,0 +1,138 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 AI Assistant & User Collaborator
+// Widget Console Module - Captures console output inside sandbox frames and shows it under the widget
+
+const MAX_CONSOLE_ENTRIES = 500;
+const CONSOLE_LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+
+/**
+ * Builds the in-frame script that forwards `console.*`, uncaught errors and unhandled rejections
+ * as `ember-console` messages. Expects `bridge` in scope and should run before any other frame code.
+ * @returns {string} JavaScript source
+ */
+export function buildConsoleCaptureScript() {
+    return `
+        (()=>{
+            const maxEntries = ${MAX_CONSOLE_ENTRIES};
+            let sent = 0;
+            const format = value => {
+                if (typeof value === "string") return value;
+                if (value instanceof Error) return value.stack && value.stack.includes(value.message) ? value.stack : value.name + ": " + value.message + (value.stack ? "\\n" + value.stack : "");
+                if (value instanceof Node) return "<" + (value.nodeName || "node").toLowerCase() + (value.id ? "#" + value.id : "") + ">";
+                if (typeof value === "function") return "[Function " + (value.name || "anonymous") + "]";
+                if (typeof value !== "object" || value === null) return String(value);
+                const seen = new WeakSet();
+                try {
+                    return JSON.stringify(value, (key, v) => {
+                        if (typeof v === "bigint") return v.toString() + "n";
+                        if (typeof v === "object" && v !== null) { if (seen.has(v)) return "[Circular]"; seen.add(v); }
+                        return v;
+                    }, 2) ?? String(value);
+                } catch (_) { return String(value); }
+            };
+            const emit = (level, args) => {
+                if (sent > maxEntries) return;
+                sent++;
+                const text = sent > maxEntries
+                    ? "Ember: console output limit reached (" + maxEntries + " entries); further output is not captured"
+                    : args.map(format).join(" ").slice(0, 5000);
+                try { bridge.send({ type: "ember-console", level: sent > maxEntries ? "warn" : level, text, time: Date.now() }); } catch (_) {}
+            };
+            for (const level of ${JSON.stringify(CONSOLE_LEVELS)}) {
+                const original = console[level];
+                console[level] = (...args) => { emit(level, args); return original.apply(console, args); };
+            }
+            window.addEventListener("error", ev => {
+                const where = ev.filename ? " (" + ev.filename.split("/").pop() + ":" + ev.lineno + ":" + ev.colno + ")" : "";
+                emit("error", ["Uncaught " + (ev.error ? format(ev.error) : ev.message + where)]);
+            });
+            window.addEventListener("unhandledrejection", ev => emit("error", ["Unhandled promise rejection: " + format(ev.reason)]));
+        })();`;
+}
+
+function formatTime(time) {
+    const date = new Date(time);
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+}
+
+function updateSummary(panel) {
+    const entries = panel.emberEntries;
+    const errors = entries.filter(entry => entry.level === 'error').length;
+    const warnings = entries.filter(entry => entry.level === 'warn').length;
+    panel.querySelector('.ember-console-count').textContent = `${entries.length}`;
+    const badges = panel.querySelector('.ember-console-badges');
+    badges.textContent = '';
+    if (errors) badges.append(Object.assign(document.createElement('span'), { className: 'ember-console-badge level-error', textContent: `${errors} error${errors === 1 ? '' : 's'}` }));
+    if (warnings) badges.append(Object.assign(document.createElement('span'), { className: 'ember-console-badge level-warn', textContent: `${warnings} warning${warnings === 1 ? '' : 's'}` }));
+}
+
+function renderEntry(entry) {
+    const row = document.createElement('div');
+    row.className = `ember-console-entry level-${entry.level}`;
+    row.append(
+        Object.assign(document.createElement('span'), { className: 'ember-console-time', textContent: formatTime(entry.time) }),
+        Object.assign(document.createElement('span'), { className: 'ember-console-level', textContent: entry.level }),
+        Object.assign(document.createElement('span'), { className: 'ember-console-text', textContent: entry.text }),
+    );
+    return row;
+}
+
+/**
+ * Creates the collapsible console panel for a frame
+ * @param {string} frameId - Frame the panel belongs to
+ * @returns {HTMLDetailsElement} Panel element; its entries live in `panel.emberEntries`
+ */
+export function createConsolePanel(frameId) {
+    const panel = document.createElement('details');
+    panel.className = 'ember-console';
+    panel.dataset.frameId = frameId;
+    panel.emberEntries = [];
+    panel.innerHTML = `
+        <summary><i class="fa-solid fa-terminal"></i> Console (<span class="ember-console-count">0</span>) <span class="ember-console-badges"></span>
+            <span class="ember-console-actions">
+                <i class="fa-solid fa-copy interactable" data-console-action="copy" title="Copy console output"></i>
+                <i class="fa-solid fa-ban interactable" data-console-action="clear" title="Clear console"></i>
+            </span>
+        </summary>
+        <div class="ember-console-entries"></div>`;
+    panel.querySelector('.ember-console-actions').addEventListener('click', (event) => {
+        const action = event.target.closest('[data-console-action]')?.dataset.consoleAction;
+        if (!action) return;
+        event.preventDefault(); // Keep the <details> from toggling
+        if (action === 'clear') {
+            panel.emberEntries = [];
+            panel.querySelector('.ember-console-entries').textContent = '';
+            updateSummary(panel);
+        } else if (action === 'copy') {
+            const text = panel.emberEntries.map(entry => `[${formatTime(entry.time)}] [${entry.level}] ${entry.text}`).join('\n');
+            navigator.clipboard?.writeText(text).then(
+                () => toastr.info('Widget console copied to clipboard.'),
+                () => toastr.error('Could not copy the widget console.'),
+            );
+        }
+    });
+    return panel;
+}
+
+/**
+ * Adds an entry to a console panel, dropping the oldest entries past the limit
+ * @param {HTMLDetailsElement} panel - Panel from createConsolePanel
+ * @param {{level: string, text: string, time?: number}} entry - Console entry
+ */
+export function appendConsoleEntry(panel, entry) {
+    const normalized = {
+        level: CONSOLE_LEVELS.includes(entry.level) ? entry.level : 'log',
+        text: String(entry.text ?? ''),
+        time: Number(entry.time) || Date.now(),
+    };
+    const list = panel.querySelector('.ember-console-entries');
+    panel.emberEntries.push(normalized);
+    list.appendChild(renderEntry(normalized));
+    while (panel.emberEntries.length > MAX_CONSOLE_ENTRIES) {
+        panel.emberEntries.shift();
+        list.firstElementChild?.remove();
+    }
+    updateSummary(panel);
+    if (panel.open) list.scrollTop = list.scrollHeight;
+}
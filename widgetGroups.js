@@ -0,0 +1,98 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 AI Assistant & User Collaborator
+// Widget Groups Module - Combines the html, css and script blocks of one message into a single widget
+
+import { parseFrontmatter } from './frontmatter.js';
+import { parseWidgetCode } from './preflight.js';
+
+const INLINE_HANDLER_REGEX = /\son[a-z]+\s*=/i;
+
+function stripFrontmatter(text) {
+    try {
+        return parseFrontmatter(text).body;
+    } catch (_) {
+        return text;
+    }
+}
+
+function readGroupKey(text) {
+    try {
+        const { group } = parseFrontmatter(text).data;
+        return group === undefined || group === null || group === '' ? null : String(group);
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Finds the blocks that form combined widgets. Blocks with a frontmatter `group:` key are grouped by it;
+ * the remaining ones form one group when they contain exactly one script block and some markup or styles.
+ * Groups with more than one script block are not combined.
+ * @param {Array<{kind: 'html'|'css'|'script'|'other', text: string}>} blocks - Blocks in message order
+ * @returns {Array<{key: string, script: number, markup: number[], styles: number[]}>} Groups, as indexes into `blocks`
+ */
+export function groupCodeBlocks(blocks) {
+    const named = new Map();
+    const ungrouped = [];
+    blocks.forEach((block, index) => {
+        if (block.kind === 'other') return;
+        const key = readGroupKey(block.text);
+        if (key === null) {
+            ungrouped.push(index);
+        } else {
+            if (!named.has(key)) named.set(key, []);
+            named.get(key).push(index);
+        }
+    });
+
+    const groups = [];
+    for (const [key, indexes] of [...named, ['', ungrouped]]) {
+        const scripts = indexes.filter(index => blocks[index].kind === 'script');
+        const markup = indexes.filter(index => blocks[index].kind === 'html');
+        const styles = indexes.filter(index => blocks[index].kind === 'css');
+        if (scripts.length === 1 && markup.length + styles.length > 0) groups.push({ key, script: scripts[0], markup, styles });
+    }
+    return groups;
+}
+
+/**
+ * Builds the markup and styles of a combined widget. Full HTML documents are reduced to their body,
+ * with their `<style>` and stylesheet `<link>` elements kept; scripts in the markup are dropped.
+ * @param {string[]} htmlTexts - Contents of the html blocks
+ * @param {string[]} cssTexts - Contents of the css blocks
+ * @returns {{html: string, css: string}} Markup for `#root` and CSS for the frame
+ */
+export function combineGroupMarkup(htmlTexts, cssTexts) {
+    const html = [];
+    const css = [];
+    for (const text of htmlTexts) {
+        const doc = new DOMParser().parseFromString(stripFrontmatter(text), 'text/html');
+        doc.querySelectorAll('script').forEach(script => script.remove());
+        doc.head.querySelectorAll('style').forEach(style => css.push(style.textContent));
+        const links = [...doc.head.querySelectorAll('link[rel="stylesheet"]')].map(link => link.outerHTML);
+        html.push(links.join('') + doc.body.innerHTML);
+    }
+    for (const text of cssTexts) css.push(stripFrontmatter(text));
+    return { html: html.join('\n'), css: css.join('\n') };
+}
+
+/**
+ * Names of top-level function declarations, which inline handlers in the markup (`onclick="roll()"`)
+ * expect to find on `window`
+ * @param {string} code - Script block body
+ * @param {string} markup - Combined markup
+ * @returns {string[]} Function names; empty when the markup has no inline handlers or the code does not parse
+ */
+export function findInlineHandlerFunctions(code, markup) {
+    if (!INLINE_HANDLER_REGEX.test(markup)) return [];
+    let ast;
+    try {
+        ast = parseWidgetCode(code);
+    } catch (_) {
+        return [];
+    }
+    return ast.body
+        .map(node => node.type === 'ExportNamedDeclaration' ? node.declaration : node)
+        .filter(node => node?.type === 'FunctionDeclaration' && node.id)
+        .map(node => node.id.name);
+}
@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+// Copyright (C) 2025 AI Assistant & User Collaborator
+// Widget Storage Module - Character-scoped and global key/value storage for sandboxed widgets
+
+import { dbGet, dbPut, dbDelete, dbKeys } from './emberDb.js';
+
+const STORAGE_STORE = 'widgetStorage';
+
+// scopeKey -> Promise of the last queued operation, so writes to one scope never interleave
+const scopeQueues = new Map();
+
+function enqueue(scopeKey, operation) {
+    const previous = scopeQueues.get(scopeKey) || Promise.resolve();
+    const next = previous.catch(() => {}).then(operation);
+    scopeQueues.set(scopeKey, next);
+    return next;
+}
+
+async function readScope(scopeKey) {
+    return (await dbGet(STORAGE_STORE, scopeKey)) || {};
+}
+
+/**
+ * Approximate size of a scope as stored JSON
+ * @param {Object} data - Scope contents
+ * @returns {number} Size in characters
+ */
+export function getScopeSize(data) {
+    return JSON.stringify(data).length;
+}
+
+/**
+ * Runs one widget storage operation against a scope
+ * @param {string} scopeKey - e.g. `char:<avatar>`, `group:<id>` or `global`
+ * @param {string} op - One of `get`, `set`, `remove`, `keys`, `clear`
+ * @param {string} [key] - Item key for `get`, `set` and `remove`
+ * @param {*} [value] - JSON-serializable value for `set`
+ * @param {number} quotaChars - Maximum size of the scope in characters
+ * @returns {Promise<*>} Operation result
+ * @throws {Error} On invalid arguments or when the quota would be exceeded
+ */
+export function runStorageOperation(scopeKey, op, key, value, quotaChars) {
+    if (['get', 'set', 'remove'].includes(op) && (typeof key !== 'string' || !key)) {
+        return Promise.reject(new Error(`ember.storage.${op} requires a non-empty string key`));
+    }
+
+    return enqueue(scopeKey, async () => {
+        const data = await readScope(scopeKey);
+        switch (op) {
+            case 'get':
+                return data[key];
+            case 'keys':
+                return Object.keys(data);
+            case 'set': {
+                if (value === undefined) throw new Error('ember.storage.set requires a value; use remove() to delete');
+                const updated = { ...data, [key]: JSON.parse(JSON.stringify(value)) };
+                const size = getScopeSize(updated);
+                if (size > quotaChars) {
+                    throw new Error(`Ember storage quota exceeded for this scope (${size} of ${quotaChars} characters)`);
+                }
+                await dbPut(STORAGE_STORE, scopeKey, updated);
+                return true;
+            }
+            case 'remove': {
+                if (!(key in data)) return false;
+                delete data[key];
+                await (Object.keys(data).length ? dbPut(STORAGE_STORE, scopeKey, data) : dbDelete(STORAGE_STORE, scopeKey));
+                return true;
+            }
+            case 'clear':
+                await dbDelete(STORAGE_STORE, scopeKey);
+                return true;
+            default:
+                throw new Error(`Unknown ember.storage operation "${op}"`);
+        }
+    });
+}
+
+/**
+ * Lists every scope that holds data, for the settings view
+ * @returns {Promise<Array<{scopeKey: string, keys: number, size: number}>>}
+ */
+export async function listStorageScopes() {
+    const scopeKeys = await dbKeys(STORAGE_STORE);
+    const scopes = [];
+    for (const scopeKey of scopeKeys) {
+        const data = await readScope(scopeKey);
+        scopes.push({ scopeKey, keys: Object.keys(data).length, size: getScopeSize(data) });
+    }
+    return scopes;
+}
+
+/**
+ * Reads the full contents of a scope, for the settings view
+ * @param {string} scopeKey - Scope to read
+ * @returns {Promise<Object>} Scope contents
+ */
+export function readStorageScope(scopeKey) {
+    return enqueue(scopeKey, () => readScope(scopeKey));
+}
+
+/**
+ * Deletes all data of a scope
+ * @param {string} scopeKey - Scope to clear
+ * @returns {Promise<void>}
+ */
+export function clearStorageScope(scopeKey) {
+    return enqueue(scopeKey, () => dbDelete(STORAGE_STORE, scopeKey));
+}